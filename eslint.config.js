@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['mock-server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,452 @@
+// server.js
+/*
+  LOCAL MOCK BACKEND
+  A dependency-free stand-in for the Express backend, good enough to run the
+  app locally and to try the live journal stream with two browser windows.
+  Everything is kept in memory and lost on restart.
+
+    npm run mock-server
+    VITE_API_BASE_URL=http://localhost:5000/api npm run dev
+
+  Any username/password pair can log in. Tokens are HS256 JWTs that expire
+  after TOKEN_TTL seconds (default one hour, e.g. TOKEN_TTL=120 to watch the
+  app refresh them); POST /api/auth/refresh swaps a valid one for a new one.
+  Registering needs an invite code made by a logged in member (POST
+  /api/invites); the new account joins that member's book.
+*/
+import http from 'node:http';
+import { createHmac, randomBytes, randomUUID } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 5000;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 60 * 60;
+const TOKEN_SECRET = randomUUID();
+
+const db = {
+  journal: new Map(), // date -> { date, content, revision, author, updatedAt }
+  journalRevisions: new Map(), // date -> every saved entry, oldest first
+  calendar: [], // { _id, title, description, date, allDay?, startTime?, endTime?, location?, category?, recurrence?, exceptions?, seriesId?, uid?, reminders? }
+  gallery: [], // { _id, url, thumbnailUrl?, description, createdAt, uploadedBy, album?, tags, date?, eventIds? }
+  files: new Map(), // id -> { filename, type, data } of uploaded images
+  profiles: new Map(), // username -> { username, inkColor, font }
+  members: new Map(), // username -> book id the user writes in
+  invites: new Map() // code -> { code, createdBy, book, expiresAt, usedBy? }
+};
+
+// Invites can be used once, within a week of being made.
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+// Users who log in without registering share this book.
+const DEFAULT_BOOK = 'book';
+
+// date -> Set of open SSE responses
+const journalStreams = new Map();
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => (data += chunk));
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+
+const readRawBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+
+// Fields (strings) and files ({ filename, type, data }) of a multipart/form-data body.
+const parseMultipart = (body, contentType) => {
+  const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  if (!boundary) return {};
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = {};
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    // Each part sits between "<delimiter>\r\n" and "\r\n<next delimiter>".
+    const part = body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const name = headers.match(/name="([^"]*)"/);
+    const filename = headers.match(/filename="([^"]*)"/);
+    const type = headers.match(/content-type:\s*([^\r\n]+)/i);
+    const data = part.subarray(headerEnd + 4);
+    if (name) {
+      fields[name[1]] = filename
+        ? { filename: filename[1], type: type ? type[1] : 'application/octet-stream', data }
+        : data.toString();
+    }
+    start = next;
+  }
+  return fields;
+};
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const signature = (data) => createHmac('sha256', TOKEN_SECRET).update(data).digest('base64url');
+
+const createToken = (username) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ sub: username, iat: now, exp: now + TOKEN_TTL })}`;
+  return `${data}.${signature(data)}`;
+};
+
+// The username of a well-signed, unexpired token, or null.
+const userFromToken = (token) => {
+  const [header, payload, sig] = (token || '').split('.');
+  if (!sig || signature(`${header}.${payload}`) !== sig) return null;
+  const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  return exp * 1000 > Date.now() ? sub : null;
+};
+
+// Why an invite can't be used, or null if it can.
+const inviteProblem = (invite) => {
+  if (!invite) return 'This invite code is not valid.';
+  if (invite.usedBy) return 'This invite has already been used.';
+  if (Date.parse(invite.expiresAt) < Date.now()) return 'This invite has expired.';
+  return null;
+};
+
+const authenticate = (req, url) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  return userFromToken(token);
+};
+
+// Every word of the query must appear in the text (case-insensitive).
+const matchesQuery = (text, query) => {
+  const haystack = (text || '').replace(/<[^>]*>/g, ' ').toLowerCase();
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return terms.length > 0 && terms.every((term) => haystack.includes(term));
+};
+
+/*
+  GALLERY PAGES
+  Same rules as src/galleryFilters.js: newest first, a page continuing after
+  the "<createdAt>|<_id>" cursor of the previous one. Undated photos belong to
+  their upload day (in UTC here; the browser uses local time).
+*/
+const newestFirst = (a, b) =>
+  (b.createdAt || '').localeCompare(a.createdAt || '') || b._id.localeCompare(a._id);
+
+const cursorOf = (image) => `${image.createdAt || ''}|${image._id}`;
+
+const photoDay = (image) => image.date || (image.createdAt || '').slice(0, 10);
+
+const filterGallery = (params) => {
+  const [album, tag, uploader, from, to] = ['album', 'tag', 'uploader', 'from', 'to'].map((key) =>
+    params.get(key)
+  );
+  return db.gallery.filter((image) => {
+    const day = photoDay(image);
+    return (
+      (!album || image.album === album) &&
+      (!tag || (image.tags || []).includes(tag)) &&
+      (!uploader || image.uploadedBy === uploader) &&
+      (!(from || to) || (day && (!from || day >= from) && (!to || day <= to)))
+    );
+  });
+};
+
+const galleryPage = (params) => {
+  const images = filterGallery(params).sort(newestFirst);
+  const limit = Number(params.get('limit'));
+  const cursor = params.get('cursor');
+  let start = 0;
+  if (cursor) {
+    const split = cursor.indexOf('|');
+    const after = { createdAt: cursor.slice(0, split), _id: cursor.slice(split + 1) };
+    start = images.findIndex((image) => newestFirst(after, image) < 0);
+    if (start === -1) start = images.length;
+  }
+  const items = images.slice(start, start + limit);
+  const isLast = start + limit >= images.length;
+  return { items, nextCursor: isLast ? null : cursorOf(items[items.length - 1]), total: images.length };
+};
+
+const gallerySummary = () => {
+  const sorted = [...db.gallery].sort(newestFirst);
+  const albums = new Map();
+  [...sorted].reverse().forEach((image) => {
+    if (!image.album) return;
+    const album = albums.get(image.album);
+    if (album) album.count += 1;
+    else albums.set(image.album, { name: image.album, cover: image, count: 1 });
+  });
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    total: sorted.length,
+    newest: sorted[0] || null,
+    albums: [...albums.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    tags: distinct(db.gallery.flatMap((image) => image.tags || [])),
+    uploaders: distinct(db.gallery.map((image) => image.uploadedBy))
+  };
+};
+
+const broadcastJournal = (entry) => {
+  const streams = journalStreams.get(entry.date);
+  if (!streams) return;
+  const message = `event: journal\ndata: ${JSON.stringify(entry)}\n\n`;
+  streams.forEach((res) => res.write(message));
+};
+
+const openJournalStream = (req, res, date) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  if (!journalStreams.has(date)) journalStreams.set(date, new Set());
+  journalStreams.get(date).add(res);
+  // Comment lines keep proxies from closing an idle connection.
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    journalStreams.get(date).delete(res);
+  });
+};
+
+const routes = [
+  ['POST', /^\/api\/auth\/login$/, async ({ req, res }) => {
+    const { username } = await readBody(req);
+    if (!username) return send(res, 400, { message: 'Username is required' });
+    if (!db.members.has(username)) db.members.set(username, DEFAULT_BOOK);
+    if (!db.profiles.has(username)) db.profiles.set(username, { username });
+    send(res, 200, { token: createToken(username), username });
+  }],
+  ['POST', /^\/api\/auth\/refresh$/, ({ res, user }) => {
+    if (!user) return send(res, 401, { message: 'Unauthorized' });
+    send(res, 200, { token: createToken(user), username: user });
+  }],
+  ['POST', /^\/api\/auth\/register$/, async ({ req, res }) => {
+    const { username, invite: code } = await readBody(req);
+    if (!username) return send(res, 400, { message: 'Username is required' });
+    const invite = db.invites.get(String(code || '').trim().toUpperCase());
+    const problem = inviteProblem(invite);
+    if (problem) return send(res, 403, { message: problem });
+    if (db.members.has(username)) return send(res, 409, { message: 'That username is taken.' });
+    invite.usedBy = username;
+    db.members.set(username, invite.book);
+    db.profiles.set(username, { username });
+    send(res, 201, { token: createToken(username), username });
+  }],
+  ['GET', /^\/api\/auth\/invites\/([^/]+)$/, ({ res, match }) => {
+    const invite = db.invites.get(decodeURIComponent(match[1]).toUpperCase());
+    const problem = inviteProblem(invite);
+    if (problem) return send(res, invite ? 410 : 404, { message: problem });
+    send(res, 200, { code: invite.code, createdBy: invite.createdBy, expiresAt: invite.expiresAt });
+  }],
+  ['POST', /^\/api\/invites$/, ({ res, user }) => {
+    const invite = {
+      code: randomBytes(5).toString('hex').toUpperCase(),
+      createdBy: user,
+      book: db.members.get(user) || DEFAULT_BOOK,
+      expiresAt: new Date(Date.now() + INVITE_TTL).toISOString()
+    };
+    db.invites.set(invite.code, invite);
+    send(res, 201, { code: invite.code, createdBy: invite.createdBy, expiresAt: invite.expiresAt });
+  }],
+  ['GET', /^\/api\/profiles$/, ({ res }) => {
+    send(res, 200, [...db.profiles.values()]);
+  }],
+  ['PUT', /^\/api\/profile$/, async ({ req, res, user }) => {
+    const { inkColor, font } = await readBody(req);
+    const profile = { ...db.profiles.get(user), username: user, inkColor, font };
+    db.profiles.set(user, profile);
+    send(res, 200, profile);
+  }],
+  ['GET', /^\/api\/journal\/stream$/, ({ req, res, url }) => {
+    openJournalStream(req, res, url.searchParams.get('date'));
+  }],
+  ['GET', /^\/api\/journal\/range$/, ({ res, url }) => {
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    const entries = [...db.journal.values()]
+      .filter((entry) => entry.date >= from && entry.date <= to && entry.content)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    send(res, 200, entries);
+  }],
+  ['GET', /^\/api\/journal\/revisions$/, ({ res, url }) => {
+    send(res, 200, db.journalRevisions.get(url.searchParams.get('date')) || []);
+  }],
+  ['GET', /^\/api\/journal$/, ({ res, url }) => {
+    const date = url.searchParams.get('date');
+    send(res, 200, db.journal.get(date) || { date, content: '', revision: 0 });
+  }],
+  ['POST', /^\/api\/journal$/, async ({ req, res, user }) => {
+    const { date, content, baseRevision } = await readBody(req);
+    const current = db.journal.get(date) || { date, content: '', revision: 0 };
+    // Optimistic concurrency: a save based on an older revision must merge first.
+    if (baseRevision !== undefined && baseRevision !== current.revision) {
+      return send(res, 409, current);
+    }
+    const entry = {
+      date,
+      content,
+      revision: current.revision + 1,
+      author: user,
+      updatedAt: new Date().toISOString()
+    };
+    db.journal.set(date, entry);
+    if (!db.journalRevisions.has(date)) db.journalRevisions.set(date, []);
+    db.journalRevisions.get(date).push(entry);
+    broadcastJournal(entry);
+    send(res, 200, entry);
+  }],
+  ['GET', /^\/api\/calendar\/month$/, ({ res, url }) => {
+    const month = url.searchParams.get('month');
+    send(res, 200, db.calendar.filter((event) => event.date.startsWith(month)));
+  }],
+  ['GET', /^\/api\/calendar\/range$/, ({ res, url }) => {
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    send(res, 200, db.calendar.filter((event) => event.date >= from && event.date <= to));
+  }],
+  ['GET', /^\/api\/calendar\/recurring$/, ({ res }) => {
+    send(res, 200, db.calendar.filter((event) => event.recurrence && event.recurrence.freq));
+  }],
+  ['GET', /^\/api\/calendar$/, ({ res, url }) => {
+    const date = url.searchParams.get('date');
+    send(res, 200, db.calendar.filter((event) => event.date === date));
+  }],
+  ['POST', /^\/api\/calendar$/, async ({ req, res }) => {
+    const event = { ...(await readBody(req)), _id: randomUUID() };
+    db.calendar.push(event);
+    send(res, 201, event);
+  }],
+  ['PUT', /^\/api\/calendar\/([^/]+)$/, async ({ req, res, match }) => {
+    const index = db.calendar.findIndex((event) => event._id === match[1]);
+    if (index === -1) return send(res, 404, { message: 'Event not found' });
+    db.calendar[index] = { ...db.calendar[index], ...(await readBody(req)), _id: match[1] };
+    send(res, 200, db.calendar[index]);
+  }],
+  ['DELETE', /^\/api\/calendar\/([^/]+)$/, ({ res, match }) => {
+    // Deleting a series also deletes the occurrences edited on their own.
+    db.calendar = db.calendar.filter(
+      (event) => event._id !== match[1] && event.seriesId !== match[1]
+    );
+    send(res, 204);
+  }],
+  // With ?limit= one page of the filtered photos, otherwise all of them.
+  ['GET', /^\/api\/gallery$/, ({ res, url }) => {
+    send(res, 200, url.searchParams.has('limit') ? galleryPage(url.searchParams) : db.gallery);
+  }],
+  ['GET', /^\/api\/gallery\/summary$/, ({ res }) => {
+    send(res, 200, gallerySummary());
+  }],
+  ['POST', /^\/api\/gallery\/upload$/, async ({ req, res, user }) => {
+    const form = parseMultipart(await readRawBody(req), req.headers['content-type'] || '');
+    if (!form.image || typeof form.image === 'string') {
+      return send(res, 400, { message: 'No image uploaded' });
+    }
+    const store = (file) => {
+      const id = randomUUID();
+      db.files.set(id, file);
+      return `http://${req.headers.host}/api/gallery/files/${id}`;
+    };
+    const image = {
+      _id: randomUUID(),
+      url: store(form.image),
+      description: form.description || '',
+      createdAt: new Date().toISOString(),
+      uploadedBy: user,
+      album: form.album || '',
+      tags: form.tags ? JSON.parse(form.tags) : [],
+      date: form.date || '',
+      eventIds: []
+    };
+    if (form.thumbnail && typeof form.thumbnail !== 'string') image.thumbnailUrl = store(form.thumbnail);
+    db.gallery.push(image);
+    send(res, 201, image);
+  }],
+  ['PUT', /^\/api\/gallery\/([^/]+)$/, async ({ req, res, match }) => {
+    const image = db.gallery.find((item) => item._id === match[1]);
+    if (!image) return send(res, 404, { message: 'Image not found' });
+    const { description, album, tags, date, eventIds } = await readBody(req);
+    if (description !== undefined) image.description = description;
+    if (album !== undefined) image.album = album;
+    if (tags !== undefined) image.tags = tags;
+    if (date !== undefined) image.date = date;
+    if (eventIds !== undefined) image.eventIds = eventIds;
+    send(res, 200, image);
+  }],
+  ['GET', /^\/api\/gallery\/([^/]+)$/, ({ res, match }) => {
+    const image = db.gallery.find((item) => item._id === match[1]);
+    if (!image) return send(res, 404, { message: 'Image not found' });
+    send(res, 200, image);
+  }],
+  ['GET', /^\/api\/gallery\/files\/([^/]+)$/, ({ res, match }) => {
+    const file = db.files.get(match[1]);
+    if (!file) return send(res, 404, { message: 'File not found' });
+    res.writeHead(200, { 'Content-Type': file.type, 'Cache-Control': 'max-age=31536000, immutable' });
+    res.end(file.data);
+  }],
+  ['DELETE', /^\/api\/gallery\/([^/]+)$/, ({ res, match }) => {
+    const image = db.gallery.find((item) => item._id === match[1]);
+    if (image) {
+      [image.url, image.thumbnailUrl]
+        .filter(Boolean)
+        .forEach((url) => db.files.delete(url.split('/').pop()));
+    }
+    db.gallery = db.gallery.filter((item) => item._id !== match[1]);
+    send(res, 204);
+  }],
+  ['GET', /^\/api\/search$/, ({ res, url }) => {
+    const q = url.searchParams.get('q') || '';
+    send(res, 200, {
+      journal: [...db.journal.values()].filter((entry) => matchesQuery(entry.content, q)),
+      events: db.calendar.filter((event) => matchesQuery(`${event.title} ${event.description}`, q)),
+      photos: db.gallery.filter((image) =>
+        matchesQuery(`${image.description} ${image.album || ''} ${(image.tags || []).join(' ')}`, q)
+      )
+    });
+  }]
+];
+
+// Image files are loaded by <img> tags, which send no Authorization header.
+const PUBLIC_ROUTES = /^\/api\/(auth\/|gallery\/files\/)/;
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const user = authenticate(req, url);
+  if (!user && !PUBLIC_ROUTES.test(url.pathname)) {
+    return send(res, 401, { message: 'Unauthorized' });
+  }
+
+  for (const [method, pattern, handler] of routes) {
+    const match = url.pathname.match(pattern);
+    if (match && req.method === method) {
+      try {
+        await handler({ req, res, url, match, user });
+      } catch (err) {
+        console.error(err);
+        send(res, 500, { message: 'Mock server error' });
+      }
+      return;
+    }
+  }
+  send(res, 404, { message: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}/api`);
+});
@@ -0,0 +1,32 @@
+// reminder-sw.js
+/*
+  REMINDER SERVICE WORKER
+  Shows event reminders as notifications (see src/reminders.js) and handles
+  clicks on them: Snooze and Dismiss are passed back to the open book, a
+  click on the notification itself opens the event's day in the calendar.
+*/
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', (event) => {
+  const { key, date } = event.notification.data || {};
+  event.notification.close();
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      if (event.action === 'snooze' || event.action === 'dismiss') {
+        windows.forEach((client) => client.postMessage({ type: 'reminder', action: event.action, key }));
+        // With the book closed, open it so the reminder is still listed there.
+        if (windows.length) return;
+      }
+      if (windows.length) {
+        await windows[0].focus();
+        windows[0].postMessage({ type: 'reminder', action: 'open', key, date });
+      } else {
+        await self.clients.openWindow(`/calendar/${date}`);
+      }
+    })()
+  );
+});
@@ -0,0 +1,43 @@
+// AlbumCovers.jsx
+const Cover = ({ image, title, count, onClick }) => (
+  <button onClick={onClick} className="border border-gray-200 rounded p-2 text-left hover:shadow">
+    {image ? (
+      <img
+        src={image.thumbnailUrl || image.url}
+        alt=""
+        className="w-full aspect-square object-cover rounded"
+        loading="lazy"
+      />
+    ) : (
+      <div className="w-full aspect-square rounded bg-gray-100" />
+    )}
+    <p className="mt-2 font-semibold truncate">{title}</p>
+    <p className="text-sm text-gray-500">
+      {count} photo{count === 1 ? '' : 's'}
+    </p>
+  </button>
+);
+
+/*
+  ALBUM COVERS
+  Landing view of the gallery: one card per album, plus "All photos" with
+  the newest photo as its cover. onOpen gets the album name ('' for all).
+*/
+export default function AlbumCovers({ summary, onOpen }) {
+  const { albums, newest, total } = summary;
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 gap-4" style={{ maxHeight: '500px', overflowY: 'auto' }}>
+      <Cover image={newest} title="All photos" count={total} onClick={() => onOpen('')} />
+      {albums.map((album) => (
+        <Cover
+          key={album.name}
+          image={album.cover}
+          title={album.name}
+          count={album.count}
+          onClick={() => onOpen(album.name)}
+        />
+      ))}
+    </div>
+  );
+}
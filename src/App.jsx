@@ -4,7 +4,8 @@ import React, {
   useEffect,
   useRef,
   useLayoutEffect,
-  useMemo
+  useMemo,
+  useCallback
 } from 'react';
 import {
   motion,
@@ -14,11 +15,65 @@ import {
   animate
 } from 'framer-motion';
 import Calendar from 'react-calendar';
-import axios from 'axios';
+import { getCurrentUser } from './api';
+import {
+  flushQueue,
+  usePendingJournalDates,
+  onJournalPageChange,
+  loadJournalPage,
+  saveJournalPage,
+  loadCalendarDay,
+  loadCalendarMonth,
+  createCalendarEvent,
+  updateCalendarEvent,
+  removeCalendarEvent,
+  updateOccurrence,
+  removeOccurrence,
+  loadGalleryRange,
+  loadGalleryPage,
+  loadGallerySummary,
+  loadGalleryImage,
+  updateGalleryImage,
+  removeGalleryImage
+} from './offlineSync';
+import { subscribeToJournal } from './journalChannel';
+import { mergeJournalHtml, mapTextOffset } from './journalMerge';
+import { getCaretOffset, setCaretOffset } from './caret';
+import JournalHistory from './JournalHistory';
+import ProfileSettings from './ProfileSettings';
+import FormattingToolbar from './FormattingToolbar';
+import JournalInsert from './JournalInsert';
+import EmbedEditor from './EmbedEditor';
+import SearchSection from './SearchSection';
+import GalleryUploader from './GalleryUploader';
+import { onPhotoUploaded } from './uploadQueue';
+import AlbumCovers from './AlbumCovers';
+import GalleryFilterBar from './GalleryFilterBar';
+import PhotoDetails from './PhotoDetails';
+import GalleryGrid from './GalleryGrid';
+import Lightbox from './Lightbox';
+import { filterImages } from './galleryFilters';
+import { photosForDay, photosForEvent } from './photoLinks';
+import PhotoStrip from './PhotoStrip';
+import BookExport from './BookExport';
+import BackupRestore from './BackupRestore';
+import RemindersPanel from './RemindersPanel';
+import InvitePanel from './InvitePanel';
+import { startReminders, refreshReminders, useReminders, describeReminder } from './reminders';
+import { toggleInline } from './formatting';
+import { sanitizeHtml } from './sanitizeHtml';
+import { formatDate, getDayName } from './dates';
+import { describeRecurrence } from './recurrence';
+import { categoryColor, formatEventTime, isAllDay } from './eventDetails';
+import EventForm from './EventForm';
+import CalendarTransfer from './CalendarTransfer';
+import DayMarkers from './DayMarkers';
+import { loadMonthMarkers } from './monthMarkers';
+import { useProfiles, inkFor, inkStyleSheet } from './profiles';
 import 'react-calendar/dist/Calendar.css';
 import './App.css';
 import { Typography, Button } from '@mui/material';
-import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import { useNavigate, useParams, useLocation, useSearchParams } from 'react-router-dom';
 
 /* 
   Helper: Get local date string in "YYYY-MM-DD" format.
@@ -78,7 +133,14 @@ export default function App({ onLogout }) {
   const [isBookOpen, setBookOpen] = useState(false);
   const [isClosing, setIsClosing] = useState(false);
   const [activeSection, setActiveSection] = useState('Journal');
-  const sections = ['Journal', 'Calendar', 'Gallery'];
+  const [isProfileOpen, setProfileOpen] = useState(false);
+  const [isExportOpen, setExportOpen] = useState(false);
+  const [isBackupOpen, setBackupOpen] = useState(false);
+  const [isRemindersOpen, setRemindersOpen] = useState(false);
+  const [isInviteOpen, setInviteOpen] = useState(false);
+  const sections = ['Journal', 'Calendar', 'Gallery', 'Search'];
+  const navigate = useNavigate();
+  const { due: dueReminders } = useReminders();
 
   const location = useLocation();
   useEffect(() => {
@@ -88,22 +150,24 @@ export default function App({ onLogout }) {
       setActiveSection('Journal');
     } else if (location.pathname.startsWith('/gallery')) {
       setActiveSection('Gallery');
+    } else if (location.pathname.startsWith('/search')) {
+      setActiveSection('Search');
     }
   }, [location.pathname]);
 
-  // Global Axios interceptor for 401 errors.
+  // Replay any writes queued while the app was closed or offline.
   useEffect(() => {
-    const interceptor = axios.interceptors.response.use(
-      (response) => response,
-      (error) => {
-        if (error.response && error.response.status === 401) {
-          onLogout();
-        }
-        return Promise.reject(error);
-      }
-    );
-    return () => axios.interceptors.response.eject(interceptor);
-  }, [onLogout]);
+    flushQueue();
+  }, []);
+
+  // Schedule event reminders while the book is open; clicking a reminder's
+  // notification opens its day in the calendar.
+  useEffect(() => startReminders(), []);
+  useEffect(() => {
+    const openReminder = (e) => navigate('/calendar/' + e.detail);
+    window.addEventListener('openReminder', openReminder);
+    return () => window.removeEventListener('openReminder', openReminder);
+  }, [navigate]);
 
   return (
     <div className="min-h-screen bg-purple-100 flex items-start justify-center pt-8 p-4">
@@ -134,13 +198,52 @@ export default function App({ onLogout }) {
                 >
                   Close
                 </button>
-                <button
-                  onClick={onLogout}
-                  className="text-sm text-gray-500 hover:text-gray-700"
-                >
-                  Logout
-                </button>
+                <div className="space-x-4">
+                  <button
+                    onClick={() => setRemindersOpen(true)}
+                    className={`text-sm ${dueReminders.length ? 'text-pink-600 font-semibold' : 'text-gray-500'} hover:text-gray-700`}
+                  >
+                    Reminders{dueReminders.length > 0 && ` (${dueReminders.length})`}
+                  </button>
+                  <button
+                    onClick={() => setExportOpen(true)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Export PDF
+                  </button>
+                  <button
+                    onClick={() => setBackupOpen(true)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Backup
+                  </button>
+                  <button
+                    onClick={() => setProfileOpen(true)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    My Ink
+                  </button>
+                  <button
+                    onClick={() => setInviteOpen(true)}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Invite
+                  </button>
+                  <button
+                    onClick={onLogout}
+                    className="text-sm text-gray-500 hover:text-gray-700"
+                  >
+                    Logout
+                  </button>
+                </div>
               </div>
+              <AnimatePresence>
+                {isProfileOpen && <ProfileSettings onClose={() => setProfileOpen(false)} />}
+                {isExportOpen && <BookExport onClose={() => setExportOpen(false)} />}
+                {isBackupOpen && <BackupRestore onClose={() => setBackupOpen(false)} />}
+                {isRemindersOpen && <RemindersPanel onClose={() => setRemindersOpen(false)} />}
+                {isInviteOpen && <InvitePanel onClose={() => setInviteOpen(false)} />}
+              </AnimatePresence>
               <div className="mt-4 text-center">
                 {/* Centered tab buttons */}
                 <div className="flex justify-center space-x-4 mb-4">
@@ -168,6 +271,7 @@ export default function App({ onLogout }) {
                     {activeSection === 'Journal' && <JournalSection />}
                     {activeSection === 'Calendar' && <CalendarSection />}
                     {activeSection === 'Gallery' && <GallerySection />}
+                    {activeSection === 'Search' && <SearchSection />}
                   </motion.div>
                 </AnimatePresence>
               </div>
@@ -196,14 +300,16 @@ export default function App({ onLogout }) {
   It includes:
     • Extra CSS (clipPath, willChange, translateZ(0)) to help prevent ghost/shadow artifacts.
     • A keydown handler that, when the user types in a region not marked with their user, splits the text and forces new input to be wrapped in a span with the proper color.
+    • Concurrent editing: edits are saved against the last version received from offlineSync, and
+      the other person's changes are three-way merged into the page (even while typing) so both keep their words.
 */
 function JournalSection() {
   const navigate = useNavigate();
   const params = useParams();
-  const token = localStorage.getItem('token');
-  const currentUser = localStorage.getItem('username');
+  const currentUser = getCurrentUser();
   console.log(`current user ${currentUser}`);
-  const defaultColor = currentUser === 'alfredo' ? 'blue' : 'purple';
+  const profiles = useProfiles();
+  const myInk = inkFor(profiles, currentUser);
 
   const initialDate = getLocalDateString(new Date());
   const initialIndex = new Date().getDate() - 1;
@@ -214,6 +320,18 @@ function JournalSection() {
   );
   const [journalCache, setJournalCache] = useState({});
   const [isFocused, setIsFocused] = useState(false);
+  const [isHistoryOpen, setHistoryOpen] = useState(false);
+  const isFocusedRef = useRef(false);
+  const committedDateRef = useRef(committedDate);
+  committedDateRef.current = committedDate;
+  // Mirror of journalCache for async callbacks, the content each page was last
+  // synced with (the merge base for our edits) and the pages being synced.
+  const cacheRef = useRef({});
+  const syncedContentRef = useRef({});
+  const syncStateRef = useRef({});
+  const pendingDates = usePendingJournalDates();
+  // Photos of the page's day, for its filmstrip.
+  const [photos, setPhotos] = useState([]);
 
   // For the page-turn drag, we use a motion value.
   const pageTurnValue = useMotionValue(0);
@@ -227,6 +345,22 @@ function JournalSection() {
     }
   }, [params.date]);
 
+  useEffect(() => {
+    let cancelled = false;
+    const fetchPhotos = () =>
+      loadGalleryRange(committedDate, committedDate)
+        .then((dayPhotos) => {
+          if (!cancelled) setPhotos(dayPhotos);
+        })
+        .catch((err) => console.error('Error fetching gallery images:', err));
+    fetchPhotos();
+    const unsubscribe = onPhotoUploaded(fetchPhotos);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [committedDate]);
+
   // Memoize the month dates so they don’t change on every render.
   const memoizedMonthDates = useMemo(() => {
     const date = new Date(committedDate + 'T00:00');
@@ -259,45 +393,87 @@ function JournalSection() {
     }
   }, [dateBarRef, selectedIndex, totalSpace, buttonWidth]);
 
-  // Fetch content for committedDate if not already cached.
-  useEffect(() => {
-    if (!journalCache[committedDate]) {
-      axios
-        .get(`https://valentines-book-backend.onrender.com/api/journal?date=${committedDate}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        })
-        .then((res) => {
-          setJournalCache(prev => ({
-            ...prev,
-            [committedDate]: res.data.content || ''
-          }));
-        })
-        .catch((err) => console.error('Error fetching journal entry:', err));
+  const updateCache = useCallback((date, content) => {
+    cacheRef.current = { ...cacheRef.current, [date]: content };
+    setJournalCache(cacheRef.current);
+  }, []);
+
+  // Puts merged content into the cache, and straight into the editor when it is
+  // being typed in, keeping the caret next to the same character.
+  const applyMergedContent = useCallback((date, merged) => {
+    const editor = contentRef.current;
+    if (editor && date === committedDateRef.current && isFocusedRef.current) {
+      const caret = getCaretOffset(editor);
+      const oldText = editor.textContent;
+      editor.innerHTML = sanitizeHtml(merged);
+      if (caret !== null) {
+        setCaretOffset(editor, mapTextOffset(oldText, editor.textContent, caret));
+      }
+    }
+    updateCache(date, merged);
+  }, [updateCache]);
+
+  // Saves a page and folds in whatever changed underneath it. One sync per page
+  // runs at a time; a request arriving meanwhile runs another pass afterwards.
+  const syncPage = useCallback(async (date) => {
+    const state = syncStateRef.current;
+    if (state[date]) {
+      state[date] = 'again';
+      return;
+    }
+    try {
+      do {
+        state[date] = 'running';
+        const sent = cacheRef.current[date];
+        const derivedFrom = syncedContentRef.current[date];
+        if (sent === undefined || derivedFrom === undefined) break;
+        const stored = await saveJournalPage(date, sent, derivedFrom);
+        syncedContentRef.current[date] = stored;
+        if (stored !== sent) {
+          // The other person's changes, merged with anything typed during the save.
+          applyMergedContent(date, mergeJournalHtml(sent, cacheRef.current[date], stored));
+        }
+      } while (state[date] === 'again');
+    } catch (err) {
+      console.error('Error auto-saving journal entry:', err);
+    } finally {
+      delete state[date];
     }
+  }, [applyMergedContent]);
+
+  // Fetch content for committedDate (merging with what is already cached).
+  useEffect(() => {
+    const loadPage = (date) =>
+      loadJournalPage(date).then((content) => {
+        // Pages already open get server changes through onJournalPageChange.
+        if (syncedContentRef.current[date] === undefined) {
+          syncedContentRef.current[date] = content;
+          updateCache(date, content);
+        }
+      });
+    loadPage(committedDate).catch((err) => console.error('Error fetching journal entry:', err));
     // Also prefetch the next day's content.
     if (selectedIndex < memoizedMonthDates.length - 1) {
       const nextDate = memoizedMonthDates[selectedIndex + 1];
-      if (!journalCache[nextDate]) {
-        axios
-          .get(`https://valentines-book-backend.onrender.com/api/journal?date=${nextDate}`, {
-            headers: { Authorization: `Bearer ${token}` }
-          })
-          .then((res) => {
-            setJournalCache(prev => ({
-              ...prev,
-              [nextDate]: res.data.content || ''
-            }));
-          })
-          .catch((err) => console.error('Error fetching next journal entry:', err));
+      if (syncedContentRef.current[nextDate] === undefined) {
+        loadPage(nextDate).catch((err) => console.error('Error fetching next journal entry:', err));
       }
     }
-  }, [committedDate, selectedIndex, token, memoizedMonthDates]);
-  // Note: journalCache is intentionally omitted from dependencies.
+  }, [committedDate, selectedIndex, memoizedMonthDates, updateCache]);
+
+  // Server changes merged into local storage are folded into open pages.
+  useEffect(
+    () =>
+      onJournalPageChange((date) => {
+        if (syncedContentRef.current[date] !== undefined) syncPage(date);
+      }),
+    [syncPage]
+  );
 
   // When not focused, update the top (editable) page content using committedDate.
   useEffect(() => {
     if (contentRef.current && !isFocused) {
-      contentRef.current.innerHTML = journalCache[committedDate] || '';
+      contentRef.current.innerHTML = sanitizeHtml(journalCache[committedDate]);
     }
   }, [committedDate, journalCache, isFocused]);
 
@@ -335,16 +511,21 @@ function JournalSection() {
 
   // On input, update the journalCache without annotation (to avoid disturbing the caret).
   const handleInput = (e) => {
-    const newContent = e.target.innerHTML;
-    setJournalCache(prev => ({
-      ...prev,
-      [committedDate]: newContent
-    }));
+    updateCache(committedDate, e.target.innerHTML);
   };
 
   // NEW: On keyDown, if the caret is in a container whose data-user does not match the current user,
   // then split the content and force insertion into a new span with the proper color.
   const handleKeyDown = (e) => {
+    // Ctrl/Cmd+B, I and U use our formatting instead of the browser's <b>/<i> markup.
+    const shortcut = { b: 'bold', i: 'italic', u: 'underline' }[e.key.toLowerCase()];
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && shortcut) {
+      e.preventDefault();
+      if (toggleInline(contentRef.current, shortcut)) {
+        updateCache(committedDate, contentRef.current.innerHTML);
+      }
+      return;
+    }
     // Ignore control keys
     if (e.ctrlKey || e.metaKey || e.altKey) return;
     const selection = window.getSelection();
@@ -354,11 +535,13 @@ function JournalSection() {
       if (container.nodeType === Node.TEXT_NODE) {
         container = container.parentNode;
       }
-      if (container.getAttribute("data-user") !== currentUser) {
+      // Formatting wrappers (<strong>, <li>, …) sit between the text and its author span.
+      const authorSpan = container.closest('[data-user]');
+      if (!authorSpan || authorSpan.getAttribute("data-user") !== currentUser) {
         // Create a new span for the current user.
         const newSpan = document.createElement("span");
         newSpan.setAttribute("data-user", currentUser);
-        newSpan.style.color = currentUser === 'alfredo' ? 'blue' : 'purple';
+        newSpan.style.color = myInk.color;
         // Insert a zero-width space so that the caret can be positioned inside.
         newSpan.innerHTML = "&#8203;";
         range.deleteContents();
@@ -373,74 +556,63 @@ function JournalSection() {
     }
   };
 
+  // Pasted content is sanitized, stripped of foreign styling and attributed to the current user.
+  const handlePaste = (e) => {
+    e.preventDefault();
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return;
+    const html = e.clipboardData.getData('text/html');
+    const pasted = document.createElement('span');
+    pasted.setAttribute('data-user', currentUser);
+    pasted.style.color = myInk.color;
+    if (html) {
+      pasted.innerHTML = sanitizeHtml(html, { keepAuthors: false, keepStyles: false });
+    } else {
+      e.clipboardData.getData('text/plain').split('\n').forEach((line, i) => {
+        if (i > 0) pasted.appendChild(document.createElement('br'));
+        pasted.appendChild(document.createTextNode(line));
+      });
+    }
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    range.insertNode(pasted);
+    range.setStartAfter(pasted);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    updateCache(committedDate, contentRef.current.innerHTML);
+  };
+
+  const handleFocus = () => {
+    isFocusedRef.current = true;
+    setIsFocused(true);
+  };
+
   // Instead of wrapping entire blocks on blur, we use our keyDown handler to force new input into a new span.
   // We still call this on blur to update the cache.
   const handleBlur = (e) => {
-    const newContent = contentRef.current.innerHTML;
-    setJournalCache(prev => ({
-      ...prev,
-      [committedDate]: newContent
-    }));
+    updateCache(committedDate, contentRef.current.innerHTML);
+    isFocusedRef.current = false;
     setIsFocused(false);
   };
 
   // AUTO–SAVE EFFECT:
+  // Saves go to IndexedDB first and are queued for the server, so nothing is lost offline.
   useEffect(() => {
-    const contentToSave = journalCache[committedDate];
-    if (contentToSave !== undefined) {
-      const timer = setTimeout(() => {
-        axios
-          .post(
-            'https://valentines-book-backend.onrender.com/api/journal',
-            { date: committedDate, content: contentToSave },
-            { headers: { Authorization: `Bearer ${token}` } }
-          )
-          .then((res) => {
-            console.log('Auto-saved successfully', res.data);
-          })
-          .catch((err) => console.error('Error auto-saving journal entry:', err));
-      }, 1000);
+    if (journalCache[committedDate] !== undefined) {
+      const timer = setTimeout(() => syncPage(committedDate), 1000);
       return () => clearTimeout(timer);
     }
-  }, [committedDate, token, journalCache[committedDate]]);
+  }, [committedDate, journalCache[committedDate], syncPage]);
 
-  // POLLING EFFECT:
-  useEffect(() => {
-    const pollInterval = setInterval(() => {
-      axios
-        .get(`https://valentines-book-backend.onrender.com/api/journal?date=${committedDate}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        })
-        .then((res) => {
-          const fetchedContent = res.data.content || '';
-          if (!isFocused && fetchedContent !== journalCache[committedDate]) {
-            setJournalCache(prev => ({
-              ...prev,
-              [committedDate]: fetchedContent
-            }));
-            if (contentRef.current) {
-              contentRef.current.innerHTML = fetchedContent;
-            }
-          }
-        })
-        .catch((err) => console.error('Error polling journal entry:', err));
-    }, 2000);
-    return () => clearInterval(pollInterval);
-  }, [committedDate, token, isFocused]);
-  // Note: journalCache is intentionally omitted from dependencies.
-
-  const formatDate = (dateStr) => {
-    const date = new Date(dateStr + 'T00:00');
-    return date.toLocaleDateString('en-US', {
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
-  };
-  const getDayName = (dateStr) => {
-    const date = new Date(dateStr + 'T00:00');
-    return date.toLocaleDateString('en-US', { weekday: 'long' });
-  };
+  // Flush a page's last edits when turning to another date or leaving the journal.
+  useEffect(() => () => {
+    syncPage(committedDate);
+  }, [committedDate, syncPage]);
+
+  // LIVE UPDATES EFFECT:
+  // The server pushes saves for committedDate; subscribeToJournal polls only while the stream is down.
+  useEffect(() => subscribeToJournal(committedDate), [committedDate]);
 
   const goToPrevMonth = () => {
     const d = new Date(committedDate + 'T00:00');
@@ -471,13 +643,22 @@ function JournalSection() {
     navigate('/calendar/' + memoizedMonthDates[selectedIndex]);
   };
 
+  // Restoring puts the old content on the page and saves it as a new revision.
+  const restoreRevision = (content) => {
+    updateCache(committedDate, content);
+    syncPage(committedDate);
+    setHistoryOpen(false);
+  };
+
   const journalContentStyle = {
+    // Photos and stickers are positioned within the page.
+    position: 'relative',
     backgroundColor: '#F5ECD9',
     textAlign: 'left',
     fontSize: '1.125rem',
     height: '500px',
     overflow: 'hidden',
-    color: defaultColor,
+    color: myInk.color,
     width: '100%',
     padding: '1rem',
     border: '2px solid #4B5563',
@@ -487,9 +668,14 @@ function JournalSection() {
 
   return (
     <div className="text-center text-gray-800 relative" style={{ height: '700px' }}>
+      {/* Renders every author's spans in the ink they picked. */}
+      <style>{inkStyleSheet(profiles)}</style>
       <h2 className="text-2xl font-semibold mb-2">
         Journal for {formatDate(committedDate)} – {getDayName(committedDate)}
       </h2>
+      {pendingDates.has(committedDate) && (
+        <p className="text-sm text-amber-600 mb-2">Not synced yet – will upload when you&apos;re back online.</p>
+      )}
       <div className="flex justify-center items-center space-x-4 mb-2">
         <Button variant="outlined" onClick={goToPrevMonth}>Prev Month</Button>
         <Typography variant="subtitle1">
@@ -507,7 +693,30 @@ function JournalSection() {
         <Button variant="contained" color="primary" onClick={jumpToCalendar}>
           Go to Calendar for This Day
         </Button>
+        <Button variant="outlined" onClick={() => setHistoryOpen(true)} style={{ marginLeft: 8 }}>
+          History
+        </Button>
       </div>
+      <AnimatePresence>
+        {isHistoryOpen && (
+          <JournalHistory
+            date={committedDate}
+            onRestore={restoreRevision}
+            onClose={() => setHistoryOpen(false)}
+          />
+        )}
+      </AnimatePresence>
+      <FormattingToolbar
+        editorRef={contentRef}
+        onChange={(html) => updateCache(committedDate, html)}
+      >
+        <JournalInsert
+          editorRef={contentRef}
+          date={committedDate}
+          dayPhotos={photosForDay(photos, committedDate)}
+          onChange={(html) => updateCache(committedDate, html)}
+        />
+      </FormattingToolbar>
       {/* Wrap the journal area in a container with perspective */}
       <div
         style={{
@@ -528,7 +737,7 @@ function JournalSection() {
               width: '100%',
               height: '100%'
             }}
-            dangerouslySetInnerHTML={{ __html: journalCache[previewDate] || '' }}
+            dangerouslySetInnerHTML={{ __html: sanitizeHtml(journalCache[previewDate]) }}
           />
         )}
         <motion.div
@@ -551,19 +760,26 @@ function JournalSection() {
           }}
         >
           <div
+            className="journal-page"
             contentEditable
             ref={contentRef}
-            onFocus={() => { setIsFocused(true); 
-              document.execCommand('styleWithCSS', false, true);
-              document.execCommand('foreColor', false, currentUser === 'alfredo' ? 'blue' : 'purple'); }}
+            onFocus={handleFocus}
             onBlur={handleBlur}
             onInput={handleInput}
             onKeyDown={handleKeyDown}
+            onPaste={handlePaste}
             suppressContentEditableWarning={true}
             style={journalContentStyle}
           />
+          {/* Frame for moving and resizing the page's photos and stickers */}
+          <EmbedEditor
+            key={committedDate}
+            editorRef={contentRef}
+            onChange={(html) => updateCache(committedDate, html)}
+          />
         </motion.div>
       </div>
+      <PhotoStrip photos={photosForDay(photos, committedDate)} className="mt-2 justify-center" />
       <div className="overflow-hidden mt-2" ref={dateBarRef}>
         <motion.div
           drag="x"
@@ -597,11 +813,16 @@ function JournalSection() {
                 animate(pageTurnValue, 0, { duration: 0 });
                 navigate('/journal/' + dateStr);
               }}
-              className={`px-3 py-1 rounded ${
+              className={`relative px-3 py-1 rounded ${
                 i === selectedIndex ? 'bg-pink-500 text-white' : 'bg-gray-200 text-gray-700'
               }`}
               style={{ minWidth: buttonWidth }}
+              title={pendingDates.has(dateStr) ? 'Not synced yet' : undefined}
             >
+              {/* Unsynced marker */}
+              {pendingDates.has(dateStr) && (
+                <span className="absolute top-0 right-0 w-2 h-2 rounded-full bg-amber-500" />
+              )}
               {new Date(dateStr + 'T00:00').toLocaleDateString('en-US', {
                 month: 'short',
                 day: 'numeric'
@@ -629,24 +850,35 @@ function CalendarSection() {
   const [selectedDate, setSelectedDate] = useState(
     params.date ? new Date(params.date + 'T00:00') : new Date()
   );
-  const [calendarEntry, setCalendarEntry] = useState({
-    title: '',
-    description: '',
-    date: getLocalDateString(new Date())
-  });
+  const [eventsDate, setEventsDate] = useState(getLocalDateString(new Date()));
   const [events, setEvents] = useState([]);
   const [monthlyEvents, setMonthlyEvents] = useState([]);
-  const token = localStorage.getItem('token');
+  // Key of the event being edited in place.
+  const [editingKey, setEditingKey] = useState(null);
+  // Bumped to clear the new-event form after a save.
+  const [formKey, setFormKey] = useState(0);
+  // Occurrence whose × was clicked, waiting for "this event" / "all events".
+  const [deleteChoice, setDeleteChoice] = useState(null);
+  // Start of the grid's current view, the last month it showed and what that
+  // month's days have on them.
+  const [activeStartDate, setActiveStartDate] = useState(
+    () => new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1)
+  );
+  const [visibleMonth, setVisibleMonth] = useState(getLocalDateString(selectedDate).slice(0, 7));
+  const [markers, setMarkers] = useState({});
+  const profiles = useProfiles();
+  // Photos of the selected day, shown next to the events they are linked to.
+  const [photos, setPhotos] = useState([]);
+
+  // Occurrences of a series share its _id, so the date is part of the key.
+  const eventKey = (event) => `${event._id}-${event.date}`;
 
   // Helper functions to fetch events
   const fetchCalendarEvents = async () => {
     const dateStr = getLocalDateString(selectedDate);
     try {
-      const res = await axios.get(`https://valentines-book-backend.onrender.com/api/calendar?date=${dateStr}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setEvents(res.data);
-      setCalendarEntry(prev => ({ ...prev, date: dateStr }));
+      setEvents(await loadCalendarDay(dateStr));
+      setEventsDate(dateStr);
     } catch (error) {
       console.error('Error fetching calendar events:', error);
     }
@@ -655,15 +887,28 @@ function CalendarSection() {
   const fetchMonthlyEvents = async () => {
     const month = getLocalDateString(selectedDate).slice(0, 7);
     try {
-      const res = await axios.get(`https://valentines-book-backend.onrender.com/api/calendar/month?month=${month}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setMonthlyEvents(res.data);
+      setMonthlyEvents(await loadCalendarMonth(month));
     } catch (error) {
       console.error('Error fetching monthly events:', error);
     }
   };
 
+  const fetchMarkers = async () => {
+    try {
+      setMarkers(await loadMonthMarkers(visibleMonth));
+    } catch (error) {
+      console.error('Error fetching day markers:', error);
+    }
+  };
+
+  // After events changed: the day's list, the month, the grid and reminders.
+  const refreshCalendar = async () => {
+    await fetchCalendarEvents();
+    await fetchMonthlyEvents();
+    await fetchMarkers();
+    refreshReminders();
+  };
+
   // If a date is passed in the URL, update selectedDate.
   useEffect(() => {
     if (params.date) {
@@ -671,14 +916,46 @@ function CalendarSection() {
     }
   }, [params.date]);
 
-  // Fetch events when selectedDate or token change.
+  // Fetch events when selectedDate changes.
   useEffect(() => {
     fetchCalendarEvents();
-  }, [selectedDate, token]);
+  }, [selectedDate]);
+
+  // Photos are linked to events of their own day.
+  useEffect(() => {
+    let cancelled = false;
+    const date = getLocalDateString(selectedDate);
+    loadGalleryRange(date, date)
+      .then((dayPhotos) => {
+        if (!cancelled) setPhotos(dayPhotos);
+      })
+      .catch((error) => console.error('Error fetching gallery images:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDate]);
 
   useEffect(() => {
     fetchMonthlyEvents();
-  }, [selectedDate, token]);
+    // Show the selected date's month in the grid.
+    setActiveStartDate(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1));
+    setVisibleMonth(getLocalDateString(selectedDate).slice(0, 7));
+  }, [selectedDate]);
+
+  // Markers are fetched once per month shown in the grid; a month scrolled
+  // past before its markers arrived doesn't overwrite the next one's.
+  useEffect(() => {
+    let cancelled = false;
+    setMarkers({});
+    loadMonthMarkers(visibleMonth)
+      .then((loaded) => {
+        if (!cancelled) setMarkers(loaded);
+      })
+      .catch((error) => console.error('Error fetching day markers:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [visibleMonth]);
 
   // NEW: Force a fetch on initial mount so events are loaded even if selectedDate doesn't change.
   useEffect(() => {
@@ -691,23 +968,40 @@ function CalendarSection() {
     navigate('/calendar/' + getLocalDateString(date));
   };
 
-  const handleChange = (e) => {
-    setCalendarEntry({ ...calendarEntry, [e.target.name]: e.target.value });
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const createEvent = async ({ recurrence, ...details }) => {
     try {
-      await axios.post('https://valentines-book-backend.onrender.com/api/calendar', calendarEntry, {
-        headers: { Authorization: `Bearer ${token}` }
+      await createCalendarEvent({
+        ...details,
+        date: getLocalDateString(selectedDate),
+        ...(recurrence ? { recurrence } : {})
       });
-      await fetchCalendarEvents();
-      await fetchMonthlyEvents();
+      setFormKey((key) => key + 1);
+      await refreshCalendar();
     } catch (error) {
       console.error('Error saving calendar event:', error);
     }
   };
 
+  // scope is "occurrence" or "series" for occurrences of recurring events.
+  const saveEvent = async (event, fields, scope) => {
+    try {
+      if (event.occurrenceOf && scope === 'occurrence') {
+        await updateOccurrence(event, fields);
+      } else {
+        // A series keeps its first date; only its details and rule change.
+        await updateCalendarEvent(event.occurrenceOf || event._id, fields);
+      }
+      setEditingKey(null);
+      // Follow an event moved to another day.
+      if (fields.date && fields.date !== event.date) {
+        handleDateChange(new Date(fields.date + 'T00:00'));
+      }
+      await refreshCalendar();
+    } catch (error) {
+      console.error('Error updating calendar event:', error);
+    }
+  };
+
   useEffect(() => {
     const handleSetCalendarDate = (e) => {
       const parts = e.detail.split('-');
@@ -725,13 +1019,17 @@ function CalendarSection() {
     navigate('/journal/' + journalDate);
   };
 
-  const deleteEvent = async (id) => {
+  // scope is "occurrence" or "series" for occurrences of recurring events.
+  const deleteEvent = async (event, scope) => {
+    setDeleteChoice(null);
     try {
-      await axios.delete(`https://valentines-book-backend.onrender.com/api/calendar/${id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      await fetchCalendarEvents();
-      await fetchMonthlyEvents();
+      if (event.occurrenceOf && scope === 'occurrence') {
+        await removeOccurrence(event);
+      } else {
+        await removeCalendarEvent(event.occurrenceOf || event._id);
+      }
+      if (editingKey === eventKey(event)) setEditingKey(null);
+      await refreshCalendar();
     } catch (error) {
       console.error('Error deleting calendar event:', error);
     }
@@ -749,55 +1047,109 @@ function CalendarSection() {
       </div>
       {/* Center the Calendar component */}
       <div className="mb-6" style={{ display: 'flex', justifyContent: 'center' }}>
-        <Calendar onChange={handleDateChange} value={selectedDate} style={{ margin: '0 auto' }}/>
+        <Calendar
+          onChange={handleDateChange}
+          value={selectedDate}
+          activeStartDate={activeStartDate}
+          onActiveStartDateChange={({ activeStartDate: start, view }) => {
+            setActiveStartDate(start);
+            if (view === 'month') setVisibleMonth(getLocalDateString(start).slice(0, 7));
+          }}
+          tileClassName={({ date, view }) =>
+            view === 'month' && markers[getLocalDateString(date)] ? 'has-markers' : null
+          }
+          tileContent={({ date, view }) => {
+            const dayMarkers = view === 'month' && markers[getLocalDateString(date)];
+            return dayMarkers ? <DayMarkers markers={dayMarkers} profiles={profiles} /> : null;
+          }}
+          style={{ margin: '0 auto' }}
+        />
+      </div>
+      <div className="mb-4 mx-auto max-w-md">
+        <EventForm
+          key={formKey}
+          date={eventsDate}
+          onSave={createEvent}
+          submitLabel="Save Calendar Event"
+        />
       </div>
-      <form onSubmit={handleSubmit} className="mb-4 space-y-4 mx-auto max-w-md">
-        <div>
-          <label className="block mb-1">Event Title</label>
-          <input
-            type="text"
-            name="title"
-            value={calendarEntry.title}
-            onChange={handleChange}
-            className="border border-gray-300 p-2 rounded w-full"
-            required
-          />
-        </div>
-        <div>
-          <label className="block mb-1">Description</label>
-          <textarea
-            name="description"
-            value={calendarEntry.description}
-            onChange={handleChange}
-            className="border border-gray-300 p-2 rounded w-full"
-            required
-          />
-        </div>
-        <button type="submit" className="bg-pink-500 text-white px-4 py-2 rounded">
-          Save Calendar Event
-        </button>
-      </form>
       {/* Today's events container */}
       <div className="mb-4 mx-auto" style={{ maxWidth: '350px', maxHeight: '300px', overflowY: 'auto', WebkitOverflowScrolling: 'touch' }}>
         <h3 className="text-xl font-semibold mb-2">
-          Events for {formatCalendarDate(calendarEntry.date)}
+          Events for {formatCalendarDate(eventsDate)}
         </h3>
         {events.length === 0 ? (
           <p>No events for this date.</p>
         ) : (
-          events.map((event) => (
-            <div key={event._id} className="mb-4 p-4 border border-gray-200 rounded flex justify-between items-start">
-              <div>
-                <h4 className="font-bold">{event.title}</h4>
-                <p>{event.description}</p>
+          events.map((event) => editingKey === eventKey(event) ? (
+            <div key={eventKey(event)} className="mb-4 p-4 border border-gray-200 rounded">
+              <EventForm
+                event={event}
+                date={event.date}
+                onSave={(fields, scope) => saveEvent(event, fields, scope)}
+                onCancel={() => setEditingKey(null)}
+                submitLabel="Update Calendar Event"
+              />
+            </div>
+          ) : (
+            <div
+              key={eventKey(event)}
+              className="mb-4 p-4 border border-gray-200 rounded text-left"
+              style={{ borderLeft: `4px solid ${categoryColor(event.category)}` }}
+            >
+              <div className="flex justify-between items-start">
+                <div>
+                  <h4 className="font-bold">
+                    {event.title}
+                    {event.pending && <span className="ml-2 text-xs text-amber-600">(not synced yet)</span>}
+                  </h4>
+                  <p className="text-sm text-gray-600">
+                    {formatEventTime(event)}
+                    {event.location && ` · ${event.location}`}
+                  </p>
+                  {event.recurrence && (
+                    <p className="text-xs text-gray-500">↻ {describeRecurrence(event.recurrence)}</p>
+                  )}
+                  {event.reminders && event.reminders.length > 0 && (
+                    <p className="text-xs text-gray-500">🔔 {event.reminders.map(describeReminder).join(', ')}</p>
+                  )}
+                  <p>{event.description}</p>
+                  <PhotoStrip photos={photosForEvent(photos, event)} size={40} className="mt-1" />
+                </div>
+                <div className="flex ml-4 space-x-2">
+                  <button
+                    onClick={() => {
+                      setDeleteChoice(null);
+                      setEditingKey(eventKey(event));
+                    }}
+                    className="text-gray-500 hover:text-gray-700"
+                    title="Edit event"
+                  >
+                    ✎
+                  </button>
+                  <button
+                    onClick={() => (event.occurrenceOf ? setDeleteChoice(event) : deleteEvent(event))}
+                    className="text-red-500 font-bold"
+                    title="Delete event"
+                  >
+                    ×
+                  </button>
+                </div>
               </div>
-              <button
-                onClick={() => deleteEvent(event._id)}
-                className="text-red-500 ml-4 font-bold"
-                title="Delete event"
-              >
-                ×
-              </button>
+              {deleteChoice === event && (
+                <div className="mt-2 text-sm space-x-2">
+                  <span>Delete</span>
+                  <button onClick={() => deleteEvent(event, 'occurrence')} className="text-red-500 underline">
+                    this event
+                  </button>
+                  <button onClick={() => deleteEvent(event, 'series')} className="text-red-500 underline">
+                    all events
+                  </button>
+                  <button onClick={() => setDeleteChoice(null)} className="text-gray-500 underline">
+                    cancel
+                  </button>
+                </div>
+              )}
             </div>
           ))
         )}
@@ -812,15 +1164,23 @@ function CalendarSection() {
         ) : (
           <div style={{ maxHeight: '200px', overflowY: 'auto', WebkitOverflowScrolling: 'touch' }}>
             {monthlyEvents.map((event) => (
-              <div key={event._id} className="mb-2">
+              <div key={eventKey(event)} className="mb-2">
                 <Typography variant="body1">
-                  {event.title} – {event.date} : {event.description}
+                  <span style={{ color: categoryColor(event.category) }}>●</span>{' '}
+                  {event.occurrenceOf && '↻ '}
+                  {event.title} – {event.date}
+                  {!isAllDay(event) && `, ${formatEventTime(event)}`} : {event.description}
                 </Typography>
               </div>
             ))}
           </div>
         )}
       </div>
+      <CalendarTransfer
+        key={getLocalDateString(selectedDate).slice(0, 7)}
+        month={getLocalDateString(selectedDate).slice(0, 7)}
+        onImported={refreshCalendar}
+      />
     </div>
   );
 }
@@ -829,165 +1189,234 @@ function CalendarSection() {
   GALLERY SECTION COMPONENT 
   The gallery now displays images in a scrollable container (if there are many),
   and each image has a delete button ("×") so that you can remove images.
-  We also added simple pagination: only a fixed number of images (e.g., 6) are shown per page.
+  Photos are fetched a page at a time (newest first) as the virtualized
+  GalleryGrid scrolls, so the gallery stays quick with thousands of them.
+  It opens on the album covers; photos can be filtered by album, tag, uploader
+  and date, and their description, album and tags edited after upload.
+  Clicking a photo opens it in the Lightbox, which moves through every photo
+  matching the filters (loading more near the end of those loaded) and keeps
+  the grid on the photo shown.
 */
+const GALLERY_FILTERS = ['album', 'tag', 'uploader', 'from', 'to'];
+const GALLERY_PAGE_SIZE = 30;
+const EMPTY_GALLERY_SUMMARY = { total: 0, newest: null, albums: [], tags: [], uploaders: [] };
+
 function GallerySection() {
-  const [imageFile, setImageFile] = useState(null);
-  const [description, setDescription] = useState('');
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { photoId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Albums, tags and uploaders of the whole gallery.
+  const [summary, setSummary] = useState(EMPTY_GALLERY_SUMMARY);
+  // Photos loaded so far for the current filters, the cursor of the next page
+  // (null after the last one) and how many photos match in all.
   const [images, setImages] = useState([]);
-  const [selectedImage, setSelectedImage] = useState(null);
-  const token = localStorage.getItem('token');
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
-  const imagesPerPage = 6;
-
-  // Helper to fetch images.
-  const fetchImages = async () => {
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setLoading] = useState(true);
+  // Bumped to reload the list from its first page (after an upload).
+  const [listVersion, setListVersion] = useState(0);
+  // Each list gets a number so pages of a previous one are dropped on arrival.
+  const listIdRef = useRef(0);
+  // _id of the photo open in the lightbox.
+  const [selectedId, setSelectedId] = useState(null);
+  // Photo opened from /gallery/:photoId before its page was loaded.
+  const [linkedImage, setLinkedImage] = useState(null);
+  // Photo whose ✎ was clicked, edited in the PhotoDetails modal.
+  const [editingImage, setEditingImage] = useState(null);
+
+  // Filters live in the URL (/gallery?view=photos&album=…&tag=…); without any
+  // the gallery opens on its album covers.
+  const filterKey = JSON.stringify(GALLERY_FILTERS.map((key) => searchParams.get(key) || ''));
+  // The same object for as long as the filters don't change.
+  const filters = useMemo(
+    () => Object.fromEntries(JSON.parse(filterKey).map((value, i) => [GALLERY_FILTERS[i], value])),
+    [filterKey]
+  );
+  const showAlbums = !photoId && !searchParams.has('view') && !GALLERY_FILTERS.some((key) => filters[key]);
+  const albumNames = summary.albums.map((album) => album.name);
+  const isLinkedOnly =
+    !!linkedImage && linkedImage._id === selectedId && !images.some((img) => img._id === selectedId);
+  const lightboxImages = isLinkedOnly ? [linkedImage] : images;
+  const selectedIndex = lightboxImages.findIndex((img) => img._id === selectedId);
+
+  const fetchSummary = async () => {
     try {
-      const res = await axios.get('https://valentines-book-backend.onrender.com/api/gallery', {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      setImages(res.data);
+      setSummary(await loadGallerySummary());
     } catch (error) {
-      console.error('Error fetching gallery images:', error);
+      console.error('Error fetching the gallery summary:', error);
     }
   };
 
+  // Loads the page after cursor, or the first page of a new list without one.
+  const fetchImages = useCallback(
+    async (cursor) => {
+      const listId = cursor ? listIdRef.current : ++listIdRef.current;
+      setLoading(true);
+      try {
+        const page = await loadGalleryPage({ ...filters, cursor, limit: GALLERY_PAGE_SIZE });
+        if (listId !== listIdRef.current) return;
+        setImages((loaded) => (cursor ? [...loaded, ...page.items] : page.items));
+        setNextCursor(page.nextCursor);
+        setTotal(page.total);
+      } catch (error) {
+        console.error('Error fetching gallery images:', error);
+      } finally {
+        if (listId === listIdRef.current) setLoading(false);
+      }
+    },
+    [filters]
+  );
+
+  const loadMore = () => {
+    if (nextCursor && !isLoading) fetchImages(nextCursor);
+  };
+
+  useEffect(() => {
+    fetchSummary();
+  }, []);
+
   useEffect(() => {
-    fetchImages();
-  }, [token]);
+    if (!showAlbums) fetchImages();
+  }, [fetchImages, showAlbums, listVersion]);
 
-  const handleFileChange = (e) => {
-    setImageFile(e.target.files[0]);
+  // Show photos as the upload queue finishes them, newest first.
+  useEffect(
+    () =>
+      onPhotoUploaded(() => {
+        fetchSummary();
+        setListVersion((version) => version + 1);
+      }),
+    []
+  );
+
+  const setFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => (value ? next.set(key, value) : next.delete(key)));
+    next.set('view', 'photos');
+    setSearchParams(next, { replace: true });
   };
 
-  const handleUpload = async (e) => {
-    e.preventDefault();
-    if (!imageFile) return;
-    const formData = new FormData();
-    formData.append('image', imageFile);
-    formData.append('description', description);
-    try {
-      await axios.post('https://valentines-book-backend.onrender.com/api/gallery/upload', formData, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
-      await fetchImages();
-      setImageFile(null);
-      setDescription('');
-      // Reset to page 1 after upload
-      setCurrentPage(1);
-    } catch (error) {
-      console.error('Error uploading image:', error);
+  const openAlbum = (album) => {
+    setSearchParams(album ? { view: 'photos', album } : { view: 'photos' });
+  };
+
+  // /gallery/:photoId (e.g. from a search result) opens that photo, dropping
+  // filters that hide it. A photo not loaded yet is fetched on its own.
+  const isPhotoLoaded = !!photoId && images.some((img) => img._id === photoId);
+  useEffect(() => {
+    if (!photoId) return;
+    if (isPhotoLoaded) {
+      setSelectedId(photoId);
+      return;
     }
+    let isCurrent = true;
+    loadGalleryImage(photoId)
+      .then((image) => {
+        if (!isCurrent || !image) return;
+        if (!filterImages([image], filters).length) setSearchParams({ view: 'photos' }, { replace: true });
+        setLinkedImage(image);
+        setSelectedId(photoId);
+      })
+      .catch((error) => console.error('Error fetching the photo:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [photoId, isPhotoLoaded, filters, setSearchParams]);
+
+  const showImage = (index) => {
+    const id = lightboxImages[index]._id;
+    setSelectedId(id);
+    if (index >= images.length - 3) loadMore();
+    if (photoId) navigate({ pathname: '/gallery/' + id, search: location.search }, { replace: true });
+  };
+
+  const closeImage = () => {
+    setSelectedId(null);
+    if (photoId) navigate({ pathname: '/gallery', search: location.search }, { replace: true });
   };
 
   const deleteImage = async (id) => {
     try {
-      await axios.delete(`https://valentines-book-backend.onrender.com/api/gallery/${id}`, {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      await fetchImages();
+      await removeGalleryImage(id);
+      setImages((loaded) => loaded.filter((img) => img._id !== id));
+      setTotal((count) => count - 1);
+      await fetchSummary();
     } catch (error) {
       console.error('Error deleting image:', error);
     }
   };
 
-  // Calculate the current images to display.
-  const indexOfLastImage = currentPage * imagesPerPage;
-  const indexOfFirstImage = indexOfLastImage - imagesPerPage;
-  const currentImages = images.slice(indexOfFirstImage, indexOfLastImage);
-  const totalPages = Math.ceil(images.length / imagesPerPage);
+  // The edited photo is updated in place, or dropped if the filters now hide it.
+  const saveImageDetails = async (changes) => {
+    const updated = await updateGalleryImage(editingImage._id, changes);
+    const isShown = filterImages([updated], filters).length > 0;
+    setImages((loaded) =>
+      loaded.flatMap((img) => (img._id !== updated._id ? [img] : isShown ? [updated] : []))
+    );
+    if (!isShown) setTotal((count) => count - 1);
+    await fetchSummary();
+  };
 
   return (
     <div className="text-center text-gray-800">
       <h2 className="text-2xl font-semibold mb-4">Gallery</h2>
-      {/* Wrap the file input in a center-aligned div */}
-      <form onSubmit={handleUpload} className="mb-6 space-y-4 mx-auto max-w-md">
-        <div style={{ textAlign: 'center' }}>
-          <label className="block mb-1">Image</label>
-          <input
-            type="file"
-            onChange={handleFileChange}
-            className="w-full"
-            accept="image/*"
-            required
-          />
-        </div>
-        <div>
-          <label className="block mb-1">Description</label>
-          <input
-            type="text"
-            value={description}
-            onChange={(e) => setDescription(e.target.value)}
-            className="border border-gray-300 p-2 rounded w-full"
-            required
-          />
-        </div>
-        <button type="submit" className="bg-pink-500 text-white px-4 py-2 rounded">
-          Upload Image
-        </button>
-      </form>
-      {/* Wrap the images grid in a scrollable container */}
-      <div style={{ maxHeight: '500px', overflowY: 'auto' }} className="grid grid-cols-2 gap-4">
-        {currentImages.map((img) => (
-          <div 
-            key={img._id} 
-            className="relative border border-gray-200 rounded p-2 cursor-pointer"
-            onClick={() => setSelectedImage(img.url)}
-          >
-            <img src={img.url} alt={img.description || 'Gallery image'} className="w-full h-auto" />
-            {img.description && <p className="mt-2 text-sm">{img.description}</p>}
-            <button 
-              onClick={(e) => { e.stopPropagation(); deleteImage(img._id); }}
-              className="absolute top-0 right-0 bg-white text-red-500 rounded-full px-1"
-              title="Delete image"
-            >
-              ×
+      <GalleryUploader key={filters.album} albums={albumNames} defaultAlbum={filters.album} />
+      {showAlbums ? (
+        <AlbumCovers summary={summary} onOpen={openAlbum} />
+      ) : (
+        <>
+          <div className="mb-2 flex justify-between items-center">
+            <button onClick={() => setSearchParams({})} className="text-sm text-gray-500 hover:text-gray-700">
+              ← Albums
             </button>
+            <h3 className="text-xl font-semibold">{filters.album || 'All photos'}</h3>
+            <span className="text-sm text-gray-500">
+              {total} photo{total === 1 ? '' : 's'}
+            </span>
           </div>
-        ))}
-      </div>
-      {/* Pagination controls */}
-      <div className="mt-4 flex justify-center items-center space-x-4">
-        <Button
-          variant="outlined"
-          disabled={currentPage === 1}
-          onClick={() => setCurrentPage(currentPage - 1)}
-        >
-          Previous
-        </Button>
-        <Typography variant="subtitle1">
-          Page {currentPage} of {totalPages}
-        </Typography>
-        <Button
-          variant="outlined"
-          disabled={currentPage === totalPages}
-          onClick={() => setCurrentPage(currentPage + 1)}
-        >
-          Next
-        </Button>
-      </div>
+          <GalleryFilterBar
+            filters={filters}
+            albums={albumNames}
+            tags={summary.tags}
+            uploaders={summary.uploaders}
+            onChange={setFilters}
+          />
+          {!isLoading && total === 0 && <p className="mb-4">No photos match these filters.</p>}
+          <GalleryGrid
+            images={images}
+            hasMore={nextCursor !== null}
+            isLoading={isLoading}
+            selectedIndex={lightboxImages === images ? selectedIndex : -1}
+            onLoadMore={loadMore}
+            onOpen={(img) => setSelectedId(img._id)}
+            onEdit={setEditingImage}
+            onDelete={deleteImage}
+            onTag={(tag) => setFilters({ tag })}
+          />
+        </>
+      )}
       <AnimatePresence>
-        {selectedImage && (
-          <motion.div
-            className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50"
-            initial={{ opacity: 0 }}
-            animate={{ opacity: 1 }}
-            exit={{ opacity: 0 }}
-            onClick={() => setSelectedImage(null)}
-          >
-            <motion.img
-              src={selectedImage}
-              alt="Zoomed"
-              className="max-w-full max-h-full"
-              initial={{ scale: 0.5 }}
-              animate={{ scale: 1 }}
-              exit={{ scale: 0.5 }}
-            />
-          </motion.div>
+        {editingImage && (
+          <PhotoDetails
+            image={editingImage}
+            albums={albumNames}
+            onSave={saveImageDetails}
+            onClose={() => setEditingImage(null)}
+          />
+        )}
+      </AnimatePresence>
+      <AnimatePresence>
+        {selectedIndex !== -1 && (
+          <Lightbox
+            images={lightboxImages}
+            index={selectedIndex}
+            total={isLinkedOnly ? 1 : total}
+            hasMore={!isLinkedOnly && nextCursor !== null}
+            onLoadMore={loadMore}
+            onIndexChange={showImage}
+            onClose={closeImage}
+          />
         )}
       </AnimatePresence>
     </div>
@@ -1,18 +1,28 @@
-import React, { useState } from 'react';
-import axios from 'axios';
+import React, { useEffect, useState } from 'react';
+import { auth, invites } from './api';
 
-export function Login({ onLogin }) {
-  const [username, setUsername] = useState('');
+// Invite links look like /register?invite=CODE.
+const inviteFromUrl = () => new URLSearchParams(window.location.search).get('invite') || '';
+
+// The server's reason when it gives one, e.g. "This invite has expired."
+const serverMessage = (err, fallback) => (err.response && err.response.data && err.response.data.message) || fallback;
+
+/*
+  LOGIN
+  With expiredUser it logs that user back in over the open book after their
+  session ran out; the pages typed meanwhile stay in the editor and the sync
+  queue. onLogout then offers a full logout instead (to switch users).
+*/
+export function Login({ onLogin, expiredUser, onLogout }) {
+  const [username, setUsername] = useState(expiredUser || '');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
 
   const handleLogin = async (e) => {
     e.preventDefault();
     try {
-      const res = await axios.post('https://valentines-book-backend.onrender.com/api/auth/login', { username, password });
-      // Save both the JWT token and the username in localStorage
-      localStorage.setItem('token', res.data.token);
-      localStorage.setItem('username', res.data.username);
+      // The API client stores both the JWT token and the username
+      await auth.login(username, password);
       onLogin(); // Callback to signal successful login
     } catch (err) {
       setError('Invalid credentials');
@@ -23,7 +33,12 @@ export function Login({ onLogin }) {
   return (
     <div className="min-h-screen bg-pink-100 flex flex-col items-center justify-top p-4">
       <form onSubmit={handleLogin} className="bg-white p-8 rounded shadow-lg w-full max-w-md">
-        <h2 className="text-2xl font-bold mb-4">Login</h2>
+        <h2 className="text-2xl font-bold mb-4">{expiredUser ? 'Session Expired' : 'Login'}</h2>
+        {expiredUser && (
+          <p className="text-gray-700 mb-2">
+            Log in again to carry on; nothing you wrote is lost.
+          </p>
+        )}
         {error && <p className="text-red-500 mb-2">{error}</p>}
         <input
           type="text"
@@ -31,6 +46,7 @@ export function Login({ onLogin }) {
           value={username}
           onChange={(e) => setUsername(e.target.value)}
           className="w-full border border-gray-300 p-2 rounded mb-4"
+          readOnly={!!expiredUser}
           required
         />
         <input
@@ -39,21 +55,31 @@ export function Login({ onLogin }) {
           value={password}
           onChange={(e) => setPassword(e.target.value)}
           className="w-full border border-gray-300 p-2 rounded mb-4"
+          autoFocus={!!expiredUser}
           required
         />
         <button type="submit" className="w-full bg-pink-500 text-white p-2 rounded">
           Login
         </button>
-        <p className="mt-4 text-center">
-          Don't have an account?{' '}
-          <button
-            type="button"
-            onClick={() => window.location.hash = '#register'}
-            className="text-pink-500 underline"
-          >
-            Create Account
-          </button>
-        </p>
+        {expiredUser ? (
+          <p className="mt-4 text-center">
+            Not {expiredUser}?{' '}
+            <button type="button" onClick={onLogout} className="text-pink-500 underline">
+              Logout
+            </button>
+          </p>
+        ) : (
+          <p className="mt-4 text-center">
+            Don't have an account?{' '}
+            <button
+              type="button"
+              onClick={() => window.location.hash = '#register'}
+              className="text-pink-500 underline"
+            >
+              Create Account
+            </button>
+          </p>
+        )}
       </form>
     </div>
   );
@@ -62,23 +88,33 @@ export function Login({ onLogin }) {
 export function Register({ onRegister }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
-  const [pin, setPin] = useState('');
+  const [inviteCode, setInviteCode] = useState(inviteFromUrl);
+  const [invitedBy, setInvitedBy] = useState('');
   const [error, setError] = useState('');
 
+  // Say whose book the link joins, or why it can't be used, before the form
+  // is filled in.
+  useEffect(() => {
+    const code = inviteFromUrl();
+    if (!code) return;
+    invites
+      .check(code)
+      .then((invite) => setInvitedBy(invite.createdBy))
+      .catch((err) => {
+        setError(serverMessage(err, 'Could not check this invite.'));
+        console.error('Error checking invite:', err);
+      });
+  }, []);
+
   const handleRegister = async (e) => {
     e.preventDefault();
-    if (pin !== '4266' && pin !== '1608') {
-      setError('Incorrect PIN. Cannot create account.');
-      return;
-    }
+    setError('');
     try {
-      const res = await axios.post('https://valentines-book-backend.onrender.com/api/auth/register', { username, password, pin });
-      // Save both the JWT token and the username in localStorage
-      localStorage.setItem('token', res.data.token);
-      localStorage.setItem('username', res.data.username);
+      // The API client stores both the JWT token and the username
+      await auth.register(username, password, inviteCode.trim());
       onRegister(); // Callback for successful registration
     } catch (err) {
-      setError('Registration failed');
+      setError(serverMessage(err, 'Registration failed'));
       console.error(err);
     }
   };
@@ -87,6 +123,7 @@ export function Register({ onRegister }) {
     <div className="min-h-screen bg-pink-100 flex flex-col items-center justify-center p-4">
       <form onSubmit={handleRegister} className="bg-white p-8 rounded shadow-lg w-full max-w-md">
         <h2 className="text-2xl font-bold mb-4">Create Account</h2>
+        {invitedBy && <p className="text-gray-700 mb-2">{invitedBy} invited you to share their book.</p>}
         {error && <p className="text-red-500 mb-2">{error}</p>}
         <input
           type="text"
@@ -106,9 +143,9 @@ export function Register({ onRegister }) {
         />
         <input
           type="text"
-          placeholder="Secret PIN"
-          value={pin}
-          onChange={(e) => setPin(e.target.value)}
+          placeholder="Invite code"
+          value={inviteCode}
+          onChange={(e) => setInviteCode(e.target.value)}
           className="w-full border border-gray-300 p-2 rounded mb-4"
           required
         />
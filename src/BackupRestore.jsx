@@ -0,0 +1,236 @@
+// BackupRestore.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { createBackup, readBackup, planRestore, summarizePlan, applyRestore } from './backup';
+
+const KINDS = [
+  { key: 'journal', label: 'Journal pages' },
+  { key: 'calendar', label: 'Events' },
+  { key: 'gallery', label: 'Photos' }
+];
+
+const STATUSES = [
+  { key: 'new', label: 'new' },
+  { key: 'duplicate', label: 'already there' },
+  { key: 'conflict', label: 'conflicting' },
+  { key: 'missing', label: 'missing file' }
+];
+
+const CONFLICT_POLICIES = [
+  { value: 'skip', label: 'Keep what is in the book (skip them)' },
+  { value: 'keep-both', label: 'Keep both versions' },
+  { value: 'replace', label: 'Replace with the backup' }
+];
+
+// Short description of what a conflicting item clashes with.
+const describeConflict = (kind, { item }) =>
+  kind === 'journal' ? item.date : `${item.title} (${item.date})`;
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/*
+  BACKUP & RESTORE
+  Downloads the book (all of it, or the pages, events and photos of a date
+  range) as a zip archive, and restores one after a dry run that reports what
+  is new, what is already there and what conflicts.
+*/
+export default function BackupRestore({ onClose }) {
+  const year = new Date().getFullYear();
+  const [isWholeBook, setWholeBook] = useState(true);
+  const [[from, to], setRange] = useState([`${year}-01-01`, `${year}-12-31`]);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setBusy] = useState(false);
+  const [archive, setArchive] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [conflicts, setConflicts] = useState('skip');
+
+  const run = async (task, failure) => {
+    setError('');
+    setBusy(true);
+    try {
+      await task();
+    } catch (err) {
+      setProgress('');
+      setError(failure);
+      console.error('Error in backup/restore:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleBackup = () => {
+    if (!isWholeBook && from > to) {
+      setError('The start date must be before the end date.');
+      return;
+    }
+    run(async () => {
+      const { blob, missingImages } = await createBackup(isWholeBook ? undefined : { from, to }, setProgress);
+      downloadBlob(blob, `valentines-book-backup-${new Date().toISOString().split('T')[0]}.zip`);
+      setProgress(
+        missingImages
+          ? `Backup downloaded, but ${missingImages} photo file(s) could not be fetched and only their descriptions were saved.`
+          : 'Backup downloaded.'
+      );
+    }, 'Could not create the backup. Please try again.');
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    setArchive(null);
+    setPlan(null);
+    if (!file) return;
+    run(async () => {
+      let opened;
+      try {
+        opened = await readBackup(file);
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+      setProgress('Checking the backup against the book…');
+      setPlan(await planRestore(opened));
+      setArchive(opened);
+      setProgress('');
+    }, 'Could not compare the backup with the book. Please try again.');
+  };
+
+  const handleRestore = () =>
+    run(async () => {
+      const result = await applyRestore(plan, archive.files, conflicts, setProgress);
+      setProgress(
+        `Restored ${result.restored}, skipped ${result.skipped}` +
+          (result.failed ? `, ${result.failed} failed (see the console).` : '.')
+      );
+      setPlan(null);
+    }, 'Could not restore the backup. Please try again.');
+
+  const summary = plan && summarizePlan(plan);
+  const hasConflicts = summary && KINDS.some(({ key }) => summary[key].conflict);
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={isBusy ? undefined : onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-md space-y-4 text-left"
+        style={{ maxHeight: '90vh', overflowY: 'auto' }}
+      >
+        <h3 className="text-xl font-semibold">Backup &amp; Restore</h3>
+        {error && <p className="text-red-500">{error}</p>}
+        <div>
+          <p className="mb-2 text-sm text-gray-600">
+            Download the journal pages, events and photos as one zip archive.
+          </p>
+          <div className="flex space-x-4 mb-2">
+            {[
+              [true, 'The whole book'],
+              [false, 'Only between two dates']
+            ].map(([value, label]) => (
+              <label key={label} className="flex items-center space-x-1 cursor-pointer">
+                <input type="radio" checked={isWholeBook === value} onChange={() => setWholeBook(value)} />
+                <span>{label}</span>
+              </label>
+            ))}
+          </div>
+          {!isWholeBook && (
+            <>
+              <div className="flex space-x-2 mb-2">
+                <div className="flex-1">
+                  <label className="block mb-1">From</label>
+                  <input
+                    type="date"
+                    value={from}
+                    onChange={(e) => setRange([e.target.value, to])}
+                    className="border border-gray-300 p-2 rounded w-full"
+                    required
+                  />
+                </div>
+                <div className="flex-1">
+                  <label className="block mb-1">To</label>
+                  <input
+                    type="date"
+                    value={to}
+                    onChange={(e) => setRange([from, e.target.value])}
+                    className="border border-gray-300 p-2 rounded w-full"
+                    required
+                  />
+                </div>
+              </div>
+              <p className="mb-2 text-sm text-gray-600">
+                Pages, events and photos outside these dates are not included.
+              </p>
+            </>
+          )}
+          <Button variant="contained" onClick={handleBackup} disabled={isBusy}>
+            Download Backup
+          </Button>
+        </div>
+        <div>
+          <label className="block mb-1">Restore from a backup</label>
+          <input type="file" accept=".zip,application/zip" onChange={handleFileChange} disabled={isBusy} />
+        </div>
+        {progress && <p className="text-sm text-gray-600">{progress}</p>}
+        {plan && (
+          <div className="space-y-2">
+            <h4 className="font-semibold">Dry run</h4>
+            <ul className="text-sm">
+              {KINDS.map(({ key, label }) => (
+                <li key={key}>
+                  {label}:{' '}
+                  {STATUSES.filter((status) => summary[key][status.key])
+                    .map((status) => `${summary[key][status.key]} ${status.label}`)
+                    .join(', ') || 'none'}
+                </li>
+              ))}
+            </ul>
+            {hasConflicts && (
+              <>
+                <ul className="text-sm text-amber-700 list-disc pl-5">
+                  {KINDS.flatMap(({ key }) =>
+                    plan[key]
+                      .filter((entry) => entry.status === 'conflict')
+                      .map((entry, i) => <li key={`${key}-${i}`}>{describeConflict(key, entry)}</li>)
+                  )}
+                </ul>
+                <label className="block">Conflicts</label>
+                <select
+                  value={conflicts}
+                  onChange={(e) => setConflicts(e.target.value)}
+                  className="border border-gray-300 p-2 rounded w-full"
+                >
+                  {CONFLICT_POLICIES.map((policy) => (
+                    <option key={policy.value} value={policy.value}>
+                      {policy.label}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+            <Button variant="contained" onClick={handleRestore} disabled={isBusy}>
+              Restore
+            </Button>
+          </div>
+        )}
+        <div className="flex justify-end">
+          <Button onClick={onClose} disabled={isBusy}>
+            Close
+          </Button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,126 @@
+// BookExport.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { useProfiles } from './profiles';
+
+const pad = (n) => String(n).padStart(2, '0');
+const dayString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Quick picks for the date range, relative to today.
+const PRESETS = [
+  {
+    label: 'This month',
+    range: (today) => [
+      dayString(new Date(today.getFullYear(), today.getMonth(), 1)),
+      dayString(new Date(today.getFullYear(), today.getMonth() + 1, 0))
+    ]
+  },
+  {
+    label: 'Last month',
+    range: (today) => [
+      dayString(new Date(today.getFullYear(), today.getMonth() - 1, 1)),
+      dayString(new Date(today.getFullYear(), today.getMonth(), 0))
+    ]
+  },
+  {
+    label: 'This year',
+    range: (today) => [`${today.getFullYear()}-01-01`, `${today.getFullYear()}-12-31`]
+  }
+];
+
+/*
+  BOOK EXPORT
+  Picks a date range and downloads it as a PDF keepsake. The PDF code (and
+  jsPDF) is only loaded when an export starts.
+*/
+export default function BookExport({ onClose }) {
+  const profiles = useProfiles();
+  const [[from, to], setRange] = useState(() => PRESETS[0].range(new Date()));
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+  const [isExporting, setExporting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (from > to) {
+      setError('The start date must be before the end date.');
+      return;
+    }
+    setError('');
+    setExporting(true);
+    try {
+      const { exportBookPdf } = await import('./pdfExport');
+      const count = await exportBookPdf({ from, to, profiles, onProgress: setProgress });
+      setProgress(count ? `Done – ${count} day${count === 1 ? '' : 's'} exported.` : 'Nothing was written in that range.');
+    } catch (err) {
+      setProgress('');
+      setError('Could not create the PDF. Please try again.');
+      console.error('Error exporting PDF:', err);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={isExporting ? undefined : onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-sm space-y-4 text-left"
+      >
+        <h3 className="text-xl font-semibold">Export as PDF</h3>
+        {error && <p className="text-red-500">{error}</p>}
+        <div className="flex flex-wrap gap-2">
+          {PRESETS.map((preset) => (
+            <button
+              key={preset.label}
+              type="button"
+              onClick={() => setRange(preset.range(new Date()))}
+              className="px-2 py-1 rounded text-sm bg-gray-200 text-gray-700"
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label className="block mb-1">From</label>
+            <input
+              type="date"
+              value={from}
+              onChange={(e) => setRange([e.target.value, to])}
+              className="border border-gray-300 p-2 rounded w-full"
+              required
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block mb-1">To</label>
+            <input
+              type="date"
+              value={to}
+              onChange={(e) => setRange([from, e.target.value])}
+              className="border border-gray-300 p-2 rounded w-full"
+              required
+            />
+          </div>
+        </div>
+        {progress && <p className="text-sm text-gray-600">{progress}</p>}
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onClose} disabled={isExporting}>
+            Close
+          </Button>
+          <Button type="submit" variant="contained" disabled={isExporting}>
+            Export
+          </Button>
+        </div>
+      </form>
+    </motion.div>
+  );
+}
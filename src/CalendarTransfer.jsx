@@ -0,0 +1,99 @@
+// CalendarTransfer.jsx
+import { useState } from 'react';
+import { Button } from '@mui/material';
+import { importIcs, exportCalendarRange } from './ical';
+import { monthBounds } from './recurrence';
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/*
+  CALENDAR IMPORT / EXPORT
+  Imports an .ics file from another calendar app and exports a date range
+  (the visible month by default) as an .ics file. Importing the same file
+  twice updates events instead of duplicating them.
+*/
+export default function CalendarTransfer({ month, onImported }) {
+  const [[from, to], setRange] = useState(() => monthBounds(month));
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isBusy, setBusy] = useState(false);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setMessage('');
+    setBusy(true);
+    try {
+      const { created, updated, unchanged } = await importIcs(await file.text());
+      setMessage(`Imported ${created} new, updated ${updated}, ${unchanged} already up to date.`);
+      await onImported();
+    } catch (err) {
+      setError('Could not import that calendar file. Please check it is a valid .ics file.');
+      console.error('Error importing calendar:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    if (from > to) {
+      setError('The start date has to be before the end date.');
+      return;
+    }
+    setError('');
+    setMessage('');
+    setBusy(true);
+    try {
+      downloadBlob(await exportCalendarRange(from, to), `our-calendar-${from}-to-${to}.ics`);
+    } catch (err) {
+      setError('Could not export the calendar. Please try again.');
+      console.error('Error exporting calendar:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 mx-auto max-w-md p-4 border border-gray-200 rounded text-left space-y-3">
+      <h3 className="text-lg font-semibold">Import / Export</h3>
+      {error && <p className="text-red-500">{error}</p>}
+      {message && <p className="text-sm text-gray-600">{message}</p>}
+      <div>
+        <label className="block mb-1">Import an .ics file</label>
+        <input type="file" accept=".ics,text/calendar" onChange={handleImport} disabled={isBusy} />
+      </div>
+      <div className="flex items-end space-x-2">
+        <div className="flex-1">
+          <label className="block mb-1">From</label>
+          <input
+            type="date"
+            value={from}
+            onChange={(e) => setRange([e.target.value, to])}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block mb-1">To</label>
+          <input
+            type="date"
+            value={to}
+            onChange={(e) => setRange([from, e.target.value])}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <Button variant="contained" onClick={handleExport} disabled={isBusy || !from || !to}>
+          Export .ics
+        </Button>
+      </div>
+    </div>
+  );
+}
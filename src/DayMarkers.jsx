@@ -0,0 +1,37 @@
+// DayMarkers.jsx
+import { categoryColor } from './eventDetails';
+import { inkFor } from './profiles';
+
+const MAX_EVENT_DOTS = 3;
+
+/*
+  DAY MARKERS
+  Tile content for a day of the calendar grid: a dot per event in its
+  category color, a pen in each author's ink for the journal page and a
+  camera for photos.
+*/
+export default function DayMarkers({ markers, profiles }) {
+  const { categories, authors, photos } = markers;
+  const titles = [
+    categories.length && `${categories.length} event${categories.length > 1 ? 's' : ''}`,
+    authors.length && 'journal page',
+    photos && `${photos} photo${photos > 1 ? 's' : ''}`
+  ].filter(Boolean);
+
+  return (
+    <div className="day-markers" title={titles.join(', ')}>
+      {categories.slice(0, MAX_EVENT_DOTS).map((category, i) => (
+        <span key={`event-${i}`} style={{ color: categoryColor(category) }}>
+          ●
+        </span>
+      ))}
+      {categories.length > MAX_EVENT_DOTS && <span className="text-gray-500">+</span>}
+      {authors.map((author) => (
+        <span key={`author-${author}`} style={{ color: author ? inkFor(profiles, author).color : '#6b7280' }}>
+          ✎
+        </span>
+      ))}
+      {photos > 0 && <span>📷</span>}
+    </div>
+  );
+}
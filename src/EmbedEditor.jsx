@@ -0,0 +1,154 @@
+// EmbedEditor.jsx
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { embedsIn, embedLayout, setEmbedLayout } from './journalEmbeds';
+
+const ROTATE_STEP = 5;
+
+// Keeps at least a corner of an item on the page.
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/*
+  EMBED EDITOR
+  Moves, resizes, rotates and removes the photos and stickers on the journal
+  page in editorRef. Pressing an item selects and drags it; the frame around
+  the selected item has a resize handle and rotate/remove buttons. The item is
+  kept by its position among the page's items, since the page HTML is
+  re-rendered from the cache while the editor isn't focused. onChange gets the
+  page HTML after every change.
+*/
+export default function EmbedEditor({ editorRef, onChange }) {
+  const [selected, setSelected] = useState(-1);
+  // Bumped while dragging, as the item is moved outside React.
+  const [, setTick] = useState(0);
+  const frameRef = useRef(null);
+  const editor = editorRef.current;
+  const img = editor && selected !== -1 ? embedsIn(editor)[selected] : null;
+
+  const commit = () => {
+    onChange(editorRef.current.innerHTML);
+    setTick((tick) => tick + 1);
+  };
+
+  // "move" follows the pointer; "resize" changes the width (height follows).
+  const startDrag = (e, target, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const page = editorRef.current;
+    const start = { x: e.clientX, y: e.clientY, layout: embedLayout(target) };
+    const handleMove = (event) => {
+      const dx = ((event.clientX - start.x) / page.clientWidth) * 100;
+      const dy = ((event.clientY - start.y) / page.clientHeight) * 100;
+      const { left, top, width } = start.layout;
+      setEmbedLayout(
+        target,
+        mode === 'move'
+          ? { ...start.layout, left: clamp(left + dx, 5 - width, 95), top: clamp(top + dy, -10, 95) }
+          : { ...start.layout, width: width + dx }
+      );
+      setTick((tick) => tick + 1);
+    };
+    const handleUp = () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      commit();
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  // The page's listener starts drags with the latest onChange.
+  const startDragRef = useRef(startDrag);
+  useLayoutEffect(() => {
+    startDragRef.current = startDrag;
+  });
+
+  useEffect(() => {
+    const page = editorRef.current;
+    const handlePointerDown = (e) => {
+      const target = e.target.closest('img[data-embed]');
+      if (!target) {
+        setSelected(-1);
+        return;
+      }
+      setSelected(embedsIn(page).indexOf(target));
+      startDragRef.current(e, target, 'move');
+    };
+    // Pressing anywhere else in the app drops the selection.
+    const handleOutside = (e) => {
+      if (!page.contains(e.target) && !(frameRef.current && frameRef.current.contains(e.target))) {
+        setSelected(-1);
+      }
+    };
+    // No native image drag and drop inside the text.
+    const handleDragStart = (e) => {
+      if (e.target.closest && e.target.closest('img[data-embed]')) e.preventDefault();
+    };
+    page.addEventListener('pointerdown', handlePointerDown);
+    page.addEventListener('dragstart', handleDragStart);
+    document.addEventListener('pointerdown', handleOutside);
+    return () => {
+      page.removeEventListener('pointerdown', handlePointerDown);
+      page.removeEventListener('dragstart', handleDragStart);
+      document.removeEventListener('pointerdown', handleOutside);
+    };
+  }, [editorRef]);
+
+  if (!img) return null;
+
+  const layout = embedLayout(img);
+  const rotate = (step) => {
+    setEmbedLayout(img, { ...layout, rotation: layout.rotation + step });
+    commit();
+  };
+  const remove = () => {
+    img.remove();
+    setSelected(-1);
+    commit();
+  };
+  // Buttons act on click; pressing them mustn't start a drag.
+  const button = (title, label, onClick, position) => (
+    <button
+      type="button"
+      title={title}
+      onPointerDown={(e) => e.stopPropagation()}
+      onClick={onClick}
+      className="absolute w-6 h-6 rounded-full bg-white text-gray-700 shadow text-sm leading-6"
+      style={position}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    // Covers the editor's padding box, the box the items are positioned in.
+    <div
+      className="absolute pointer-events-none"
+      style={{ left: editor.clientLeft, top: editor.clientTop, width: editor.clientWidth, height: editor.clientHeight }}
+    >
+      <div
+        ref={frameRef}
+        className="absolute pointer-events-auto cursor-move"
+        style={{
+          left: `${layout.left}%`,
+          top: `${layout.top}%`,
+          width: `${layout.width}%`,
+          height: img.offsetHeight,
+          transform: layout.rotation ? `rotate(${layout.rotation}deg)` : undefined,
+          outline: '2px dashed #ec4899',
+          touchAction: 'none'
+        }}
+        onPointerDown={(e) => startDrag(e, img, 'move')}
+      >
+        {button('Rotate left', '↺', () => rotate(-ROTATE_STEP), { top: -12, left: -12 })}
+        {button('Rotate right', '↻', () => rotate(ROTATE_STEP), { top: -12, left: 16 })}
+        {button('Remove from the page', '×', remove, { top: -12, right: -12 })}
+        <span
+          title="Resize"
+          onPointerDown={(e) => startDrag(e, img, 'resize')}
+          className="absolute w-4 h-4 rounded-full bg-pink-500"
+          style={{ right: -8, bottom: -8, cursor: 'nwse-resize' }}
+        />
+      </div>
+    </div>
+  );
+}
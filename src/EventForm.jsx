@@ -0,0 +1,328 @@
+// EventForm.jsx
+import { useState } from 'react';
+import { RECURRENCE_OPTIONS } from './recurrence';
+import { EVENT_CATEGORIES, isAllDay } from './eventDetails';
+import { REMINDER_PRESETS, describeReminder, requestNotificationPermission } from './reminders';
+
+// Form values of an event (or of a new one).
+const toValues = (event = {}) => ({
+  title: event.title || '',
+  date: event.date || '',
+  description: event.description || '',
+  allDay: event.title === undefined ? true : isAllDay(event),
+  startTime: event.startTime || '',
+  endTime: event.endTime || '',
+  location: event.location || '',
+  category: event.category || '',
+  reminders: event.reminders || [],
+  freq: event.recurrence ? event.recurrence.freq : '',
+  interval: event.recurrence ? event.recurrence.interval || 1 : 1,
+  until: event.recurrence ? event.recurrence.until || '' : ''
+});
+
+/*
+  EVENT FORM
+  Creates an event, or edits one in place when given `event`. For an
+  occurrence of a recurring event it asks whether the change applies to that
+  occurrence only or to the whole series. onSave receives the event fields
+  (recurrence is null when the event doesn't repeat) and the scope. A one-off
+  event, or a single occurrence, can be moved to another date; a series keeps
+  its first date. Adding a reminder asks for permission to show notifications.
+*/
+export default function EventForm({ event, date, onSave, onCancel, submitLabel }) {
+  const [values, setValues] = useState(() => toValues(event));
+  const [scope, setScope] = useState(event && event.occurrenceOf ? 'occurrence' : 'series');
+  const [error, setError] = useState('');
+  // Reminder picked in the "Add a reminder" select ("custom" shows the time inputs).
+  const [reminderChoice, setReminderChoice] = useState('');
+  const [customReminder, setCustomReminder] = useState({ daysBefore: 1, time: '20:00' });
+  const isOccurrenceEdit = !!(event && event.occurrenceOf && scope === 'occurrence');
+  const canMove = !!event && (isOccurrenceEdit || !(event.occurrenceOf || event.recurrence));
+
+  const handleChange = (e) => {
+    const { name, type, value, checked } = e.target;
+    setValues({ ...values, [name]: type === 'checkbox' ? checked : value });
+  };
+
+  const addReminder = (reminder) => {
+    const exists = values.reminders.some((r) => describeReminder(r) === describeReminder(reminder));
+    if (!exists) setValues({ ...values, reminders: [...values.reminders, reminder] });
+    setReminderChoice('');
+  };
+
+  const handleReminderChoice = (e) => {
+    const { value } = e.target;
+    if (value === 'custom') setReminderChoice(value);
+    else if (value !== '') addReminder({ minutesBefore: Number(value) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const {
+      title,
+      date: newDate,
+      description,
+      allDay,
+      startTime,
+      endTime,
+      location,
+      category,
+      reminders,
+      freq,
+      interval,
+      until
+    } = values;
+    if (!allDay && !startTime) {
+      setError('Pick a start time or mark the event as all-day.');
+      return;
+    }
+    if (!allDay && endTime && endTime < startTime) {
+      setError('The event has to end after it starts.');
+      return;
+    }
+    setError('');
+    if (reminders.length) requestNotificationPermission();
+    const fields = {
+      title,
+      description,
+      allDay,
+      startTime: allDay ? '' : startTime,
+      endTime: allDay ? '' : endTime,
+      location,
+      category,
+      reminders
+    };
+    if (canMove) fields.date = newDate;
+    if (!isOccurrenceEdit) {
+      fields.recurrence = freq
+        ? { freq, interval: Math.max(1, Number(interval) || 1), ...(until ? { until } : {}) }
+        : null;
+    }
+    await onSave(fields, scope);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 text-left">
+      {error && <p className="text-red-500">{error}</p>}
+      <div>
+        <label className="block mb-1">Event Title</label>
+        <input
+          type="text"
+          name="title"
+          value={values.title}
+          onChange={handleChange}
+          className="border border-gray-300 p-2 rounded w-full"
+          required
+        />
+      </div>
+      {canMove && (
+        <div>
+          <label className="block mb-1">Date</label>
+          <input
+            type="date"
+            name="date"
+            value={values.date}
+            onChange={handleChange}
+            className="border border-gray-300 p-2 rounded w-full"
+            required
+          />
+        </div>
+      )}
+      <div>
+        <label className="block mb-1">Description</label>
+        <textarea
+          name="description"
+          value={values.description}
+          onChange={handleChange}
+          className="border border-gray-300 p-2 rounded w-full"
+          required
+        />
+      </div>
+      <div className="flex items-end space-x-2">
+        <label className="flex items-center space-x-1 mb-2 cursor-pointer">
+          <input type="checkbox" name="allDay" checked={values.allDay} onChange={handleChange} />
+          <span>All day</span>
+        </label>
+        {!values.allDay && (
+          <>
+            <div className="flex-1">
+              <label className="block mb-1">Starts</label>
+              <input
+                type="time"
+                name="startTime"
+                value={values.startTime}
+                onChange={handleChange}
+                className="border border-gray-300 p-2 rounded w-full"
+              />
+            </div>
+            <div className="flex-1">
+              <label className="block mb-1">Ends</label>
+              <input
+                type="time"
+                name="endTime"
+                value={values.endTime}
+                onChange={handleChange}
+                className="border border-gray-300 p-2 rounded w-full"
+              />
+            </div>
+          </>
+        )}
+      </div>
+      <div className="flex space-x-2">
+        <div className="flex-1">
+          <label className="block mb-1">Location</label>
+          <input
+            type="text"
+            name="location"
+            value={values.location}
+            onChange={handleChange}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block mb-1">Category</label>
+          <select
+            name="category"
+            value={values.category}
+            onChange={handleChange}
+            className="border border-gray-300 p-2 rounded w-full"
+          >
+            {EVENT_CATEGORIES.map((category) => (
+              <option key={category.value} value={category.value}>
+                {category.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div>
+        <label className="block mb-1">Reminders</label>
+        {values.reminders.map((reminder, i) => (
+          <div key={i} className="flex justify-between items-center text-sm mb-1">
+            <span>🔔 {describeReminder(reminder)}</span>
+            <button
+              type="button"
+              onClick={() => setValues({ ...values, reminders: values.reminders.filter((r, j) => j !== i) })}
+              className="text-red-500 font-bold"
+              title="Remove reminder"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        <div className="flex items-center space-x-2">
+          <select
+            value={reminderChoice}
+            onChange={handleReminderChoice}
+            className="border border-gray-300 p-2 rounded flex-1"
+          >
+            <option value="">Add a reminder…</option>
+            {REMINDER_PRESETS.map((preset) => (
+              <option key={preset.minutesBefore} value={preset.minutesBefore}>
+                {preset.label}
+              </option>
+            ))}
+            <option value="custom">At a specific time…</option>
+          </select>
+          {reminderChoice === 'custom' && (
+            <>
+              <input
+                type="number"
+                min="0"
+                value={customReminder.daysBefore}
+                onChange={(e) => setCustomReminder({ ...customReminder, daysBefore: e.target.value })}
+                className="border border-gray-300 p-2 rounded w-16"
+                title="Days before"
+              />
+              <span className="text-sm">days before at</span>
+              <input
+                type="time"
+                value={customReminder.time}
+                onChange={(e) => setCustomReminder({ ...customReminder, time: e.target.value })}
+                className="border border-gray-300 p-2 rounded"
+              />
+              <button
+                type="button"
+                onClick={() =>
+                  customReminder.time &&
+                  addReminder({ daysBefore: Math.max(0, Number(customReminder.daysBefore) || 0), time: customReminder.time })
+                }
+                className="bg-gray-200 text-gray-700 px-2 py-2 rounded"
+              >
+                Add
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {event && event.occurrenceOf && (
+        <div className="flex justify-center space-x-4">
+          {[
+            ['occurrence', 'Only this event'],
+            ['series', 'All events in the series']
+          ].map(([value, label]) => (
+            <label key={value} className="flex items-center space-x-1 cursor-pointer">
+              <input type="radio" checked={scope === value} onChange={() => setScope(value)} />
+              <span>{label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+      {!isOccurrenceEdit && (
+        <div className="flex space-x-2">
+          <div className="flex-1">
+            <label className="block mb-1">Repeats</label>
+            <select
+              name="freq"
+              value={values.freq}
+              onChange={handleChange}
+              className="border border-gray-300 p-2 rounded w-full"
+            >
+              {RECURRENCE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {values.freq && (
+            <>
+              <div className="w-20">
+                <label className="block mb-1">Every</label>
+                <input
+                  type="number"
+                  name="interval"
+                  min="1"
+                  value={values.interval}
+                  onChange={handleChange}
+                  className="border border-gray-300 p-2 rounded w-full"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block mb-1">Until (optional)</label>
+                <input
+                  type="date"
+                  name="until"
+                  value={values.until}
+                  min={values.date || date}
+                  onChange={handleChange}
+                  className="border border-gray-300 p-2 rounded w-full"
+                />
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      <div className="text-center space-x-2">
+        <button type="submit" className="bg-pink-500 text-white px-4 py-2 rounded">
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="bg-gray-200 text-gray-700 px-4 py-2 rounded">
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
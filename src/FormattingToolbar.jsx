@@ -0,0 +1,64 @@
+// FormattingToolbar.jsx
+import { useEffect, useState } from 'react';
+import { toggleInline, toggleHeading, toggleList, setAlignment, activeFormats } from './formatting';
+
+const BUTTONS = [
+  { id: 'bold', label: 'B', title: 'Bold', className: 'font-bold', apply: (root) => toggleInline(root, 'bold') },
+  { id: 'italic', label: 'I', title: 'Italic', className: 'italic', apply: (root) => toggleInline(root, 'italic') },
+  { id: 'underline', label: 'U', title: 'Underline', className: 'underline', apply: (root) => toggleInline(root, 'underline') },
+  { id: 'highlight', label: 'Mark', title: 'Highlight', apply: (root) => toggleInline(root, 'highlight') },
+  { id: 'h1', label: 'H1', title: 'Heading', apply: (root) => toggleHeading(root, 'h1') },
+  { id: 'h2', label: 'H2', title: 'Subheading', apply: (root) => toggleHeading(root, 'h2') },
+  { id: 'ul', label: '•', title: 'Bulleted list', apply: (root) => toggleList(root, 'ul') },
+  { id: 'ol', label: '1.', title: 'Numbered list', apply: (root) => toggleList(root, 'ol') },
+  { id: 'align-left', label: '⇤', title: 'Align left', apply: (root) => setAlignment(root, 'left') },
+  { id: 'align-center', label: '↔', title: 'Center', apply: (root) => setAlignment(root, 'center') },
+  { id: 'align-right', label: '⇥', title: 'Align right', apply: (root) => setAlignment(root, 'right') }
+];
+
+/*
+  FORMATTING TOOLBAR
+  Buttons for the journal page's rich-text formatting. Buttons keep the editor
+  focused (mousedown is prevented) and report the new HTML through onChange.
+  children (e.g. the photo and sticker buttons) are added at the end.
+*/
+export default function FormattingToolbar({ editorRef, onChange, children }) {
+  const [active, setActive] = useState(new Set());
+
+  // Highlight the formats at the caret as it moves.
+  useEffect(() => {
+    const handleSelectionChange = () => {
+      if (editorRef.current) setActive(activeFormats(editorRef.current));
+    };
+    document.addEventListener('selectionchange', handleSelectionChange);
+    return () => document.removeEventListener('selectionchange', handleSelectionChange);
+  }, [editorRef]);
+
+  const handleClick = (button) => {
+    const editor = editorRef.current;
+    if (editor && button.apply(editor)) {
+      onChange(editor.innerHTML);
+      setActive(activeFormats(editor));
+    }
+  };
+
+  return (
+    <div className="flex justify-center flex-wrap gap-1 mb-2">
+      {BUTTONS.map((button) => (
+        <button
+          key={button.id}
+          type="button"
+          title={button.title}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => handleClick(button)}
+          className={`px-2 py-1 rounded text-sm min-w-[2rem] ${button.className || ''} ${
+            active.has(button.id) ? 'bg-pink-500 text-white' : 'bg-gray-200 text-gray-700'
+          }`}
+        >
+          {button.label}
+        </button>
+      ))}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+// GalleryFilterBar.jsx
+
+const Select = ({ label, value, options, onChange }) => (
+  <div>
+    <label className="block mb-1 text-sm">{label}</label>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="border border-gray-300 p-1 rounded w-full text-sm"
+    >
+      <option value="">Any</option>
+      {options.map((option) => (
+        <option key={option} value={option}>
+          {option}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+/*
+  GALLERY FILTER BAR
+  Album, tag, uploader and upload-date filters for the photo grid. onChange
+  receives the filters that changed ('' clears one).
+*/
+export default function GalleryFilterBar({ filters, albums, tags, uploaders, onChange }) {
+  const isFiltered = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="mb-4 grid grid-cols-2 sm:grid-cols-5 gap-2 items-end text-left">
+      <Select label="Album" value={filters.album} options={albums} onChange={(album) => onChange({ album })} />
+      <Select label="Tag" value={filters.tag} options={tags} onChange={(tag) => onChange({ tag })} />
+      <Select
+        label="Uploaded by"
+        value={filters.uploader}
+        options={uploaders}
+        onChange={(uploader) => onChange({ uploader })}
+      />
+      <div>
+        <label className="block mb-1 text-sm">From</label>
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => onChange({ from: e.target.value })}
+          className="border border-gray-300 p-1 rounded w-full text-sm"
+        />
+      </div>
+      <div>
+        <label className="block mb-1 text-sm">To</label>
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => onChange({ to: e.target.value })}
+          className="border border-gray-300 p-1 rounded w-full text-sm"
+        />
+      </div>
+      {isFiltered && (
+        <button
+          onClick={() => onChange({ album: '', tag: '', uploader: '', from: '', to: '' })}
+          className="text-sm text-gray-500 underline col-span-2 sm:col-span-5 text-right"
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+}
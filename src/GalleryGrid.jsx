@@ -0,0 +1,132 @@
+// GalleryGrid.jsx
+import { useEffect, useRef, useState } from 'react';
+import { FixedSizeList } from 'react-window';
+
+const GRID_HEIGHT = 500;
+const GAP = 16;
+// Room under each thumbnail for one line of description and one of tags.
+const CAPTION_HEIGHT = 64;
+// Rows left below the visible ones when the next page is requested.
+const LOAD_AHEAD_ROWS = 3;
+
+const GalleryCell = ({ img, size, onOpen, onEdit, onDelete, onTag }) => (
+  <div
+    className="relative border border-gray-200 rounded p-2 cursor-pointer overflow-hidden"
+    style={{ width: size, height: size + CAPTION_HEIGHT - GAP }}
+    onClick={() => onOpen(img)}
+  >
+    <img
+      src={img.thumbnailUrl || img.url}
+      alt={img.description || 'Gallery image'}
+      className="w-full object-cover rounded"
+      style={{ height: size - GAP }}
+      loading="lazy"
+    />
+    {img.description && <p className="mt-2 text-sm truncate">{img.description}</p>}
+    {img.tags && img.tags.length > 0 && (
+      <div className="mt-1 flex justify-center gap-1 overflow-hidden whitespace-nowrap">
+        {img.tags.map((tag) => (
+          <button
+            key={tag}
+            onClick={(e) => {
+              e.stopPropagation();
+              onTag(tag);
+            }}
+            className="text-xs bg-pink-100 text-pink-700 rounded-full px-2"
+          >
+            #{tag}
+          </button>
+        ))}
+      </div>
+    )}
+    <button
+      onClick={(e) => { e.stopPropagation(); onEdit(img); }}
+      className="absolute top-0 left-0 bg-white text-gray-500 rounded-full px-1"
+      title="Edit description, album and tags"
+    >
+      ✎
+    </button>
+    <button
+      onClick={(e) => { e.stopPropagation(); onDelete(img._id); }}
+      className="absolute top-0 right-0 bg-white text-red-500 rounded-full px-1"
+      title="Delete image"
+    >
+      ×
+    </button>
+  </div>
+);
+
+// One row of the list: itemData carries the photos and the cell props.
+const GalleryRow = ({ index, style, data }) => {
+  const { images, columns, size, ...handlers } = data;
+  const row = images.slice(index * columns, (index + 1) * columns);
+  return (
+    <div style={{ ...style, display: 'flex', gap: GAP }}>
+      {row.length ? (
+        row.map((img) => <GalleryCell key={img._id} img={img} size={size} {...handlers} />)
+      ) : (
+        <p className="w-full text-gray-500">Loading more photos…</p>
+      )}
+    </div>
+  );
+};
+
+/*
+  GALLERY GRID
+  Virtualized grid of the photos loaded so far: only the rows in view are in
+  the DOM, and scrolling near the end asks for the next page. Two columns on
+  narrow screens, three from 640px. selectedIndex (the photo in the lightbox)
+  is kept scrolled into view.
+*/
+export default function GalleryGrid({
+  images,
+  hasMore,
+  isLoading,
+  selectedIndex,
+  onLoadMore,
+  onOpen,
+  onEdit,
+  onDelete,
+  onTag
+}) {
+  const containerRef = useRef(null);
+  const listRef = useRef(null);
+  const [width, setWidth] = useState(0);
+  const columns = width >= 640 ? 3 : 2;
+  const cellWidth = Math.max(0, (width - GAP * (columns - 1)) / columns);
+  const rowCount = Math.ceil(images.length / columns) + (isLoading ? 1 : 0);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (selectedIndex >= 0 && listRef.current) {
+      listRef.current.scrollToItem(Math.floor(selectedIndex / columns));
+    }
+  }, [selectedIndex, columns]);
+
+  const handleItemsRendered = ({ visibleStopIndex }) => {
+    if (hasMore && !isLoading && visibleStopIndex >= rowCount - LOAD_AHEAD_ROWS) onLoadMore();
+  };
+
+  return (
+    <div ref={containerRef}>
+      {width > 0 && (
+        <FixedSizeList
+          ref={listRef}
+          height={GRID_HEIGHT}
+          width={width}
+          itemCount={rowCount}
+          itemSize={cellWidth + CAPTION_HEIGHT}
+          onItemsRendered={handleItemsRendered}
+          itemData={{ images, columns, size: cellWidth, onOpen, onEdit, onDelete, onTag }}
+        >
+          {GalleryRow}
+        </FixedSizeList>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+// GalleryUploader.jsx
+import { useRef, useState } from 'react';
+import {
+  useUploadQueue,
+  addFiles,
+  setDescription,
+  uploadReady,
+  cancelUpload,
+  retryUpload,
+  removeUpload,
+  clearFinished
+} from './uploadQueue';
+import { parseTags } from './galleryFilters';
+
+const STATUS_LABELS = {
+  ready: '',
+  waiting: 'Waiting…',
+  preparing: 'Preparing…',
+  uploading: 'Uploading…',
+  done: 'Uploaded',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+/*
+  GALLERY UPLOADER
+  Drop zone and multi-select file picker feeding the upload queue. Each photo
+  gets its own description, a progress bar and cancel/retry buttons; the album
+  and tags apply to every photo sent together.
+*/
+export default function GalleryUploader({ albums, defaultAlbum = '' }) {
+  const queue = useUploadQueue();
+  const inputRef = useRef(null);
+  const [isDragging, setDragging] = useState(false);
+  const [album, setAlbum] = useState(defaultAlbum);
+  const [tags, setTags] = useState('');
+  const readyCount = queue.filter((item) => item.status === 'ready').length;
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
+
+  const handleFileChange = (e) => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="mb-6 space-y-4 mx-auto max-w-md">
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current.click()}
+        className={`border-2 border-dashed rounded p-6 cursor-pointer transition-colors ${
+          isDragging ? 'border-pink-500 bg-pink-50' : 'border-gray-300'
+        }`}
+      >
+        <p>Drop photos here or click to choose them</p>
+        <input
+          ref={inputRef}
+          type="file"
+          onChange={handleFileChange}
+          className="hidden"
+          accept="image/*"
+          multiple
+        />
+      </div>
+      {queue.length > 0 && (
+        <ul className="space-y-2 text-left" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+          {queue.map((item) => (
+            <li key={item.id} className="flex items-center space-x-2 border border-gray-200 rounded p-2">
+              <img src={item.previewUrl} alt="" className="w-12 h-12 object-cover rounded" />
+              <div className="flex-1 min-w-0">
+                {item.status === 'ready' || item.status === 'failed' || item.status === 'cancelled' ? (
+                  <input
+                    type="text"
+                    value={item.description}
+                    onChange={(e) => setDescription(item.id, e.target.value)}
+                    placeholder="Description"
+                    className="border border-gray-300 p-1 rounded w-full text-sm"
+                  />
+                ) : (
+                  <p className="text-sm truncate">{item.description || item.file.name}</p>
+                )}
+                {item.status !== 'ready' && (
+                  <div className="mt-1">
+                    <div className="h-1.5 bg-gray-200 rounded">
+                      <div
+                        className={`h-1.5 rounded ${item.status === 'failed' ? 'bg-red-500' : 'bg-pink-500'}`}
+                        style={{ width: `${Math.round(item.progress * 100)}%` }}
+                      />
+                    </div>
+                    <p className={`text-xs ${item.status === 'failed' ? 'text-red-500' : 'text-gray-500'}`}>
+                      {item.error || STATUS_LABELS[item.status]}
+                      {item.status === 'uploading' && ` ${Math.round(item.progress * 100)}%`}
+                    </p>
+                  </div>
+                )}
+              </div>
+              {['waiting', 'preparing', 'uploading'].includes(item.status) && (
+                <button onClick={() => cancelUpload(item.id)} className="text-sm text-gray-500 underline">
+                  Cancel
+                </button>
+              )}
+              {(item.status === 'failed' || item.status === 'cancelled') && (
+                <button onClick={() => retryUpload(item.id)} className="text-sm text-pink-600 underline">
+                  Retry
+                </button>
+              )}
+              {!['waiting', 'preparing', 'uploading'].includes(item.status) && (
+                <button onClick={() => removeUpload(item.id)} className="text-red-500 font-bold" title="Remove">
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {readyCount > 0 && (
+        <div className="flex space-x-2 text-left">
+          <div className="flex-1">
+            <label className="block mb-1 text-sm">Album</label>
+            <input
+              type="text"
+              list="upload-albums"
+              value={album}
+              onChange={(e) => setAlbum(e.target.value)}
+              placeholder="No album"
+              className="border border-gray-300 p-1 rounded w-full text-sm"
+            />
+            <datalist id="upload-albums">
+              {albums.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+          </div>
+          <div className="flex-1">
+            <label className="block mb-1 text-sm">Tags (comma separated)</label>
+            <input
+              type="text"
+              value={tags}
+              onChange={(e) => setTags(e.target.value)}
+              className="border border-gray-300 p-1 rounded w-full text-sm"
+            />
+          </div>
+        </div>
+      )}
+      <div className="space-x-2">
+        {readyCount > 0 && (
+          <button
+            onClick={() => uploadReady({ album: album.trim(), tags: parseTags(tags) })}
+            className="bg-pink-500 text-white px-4 py-2 rounded"
+          >
+            Upload {readyCount} Photo{readyCount > 1 ? 's' : ''}
+          </button>
+        )}
+        {queue.some((item) => item.status === 'done') && (
+          <button onClick={clearFinished} className="bg-gray-200 text-gray-700 px-4 py-2 rounded">
+            Clear Uploaded
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+// InvitePanel.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { invites, inviteLink } from './api';
+
+const formatExpiry = (iso) =>
+  new Date(iso).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/*
+  INVITE SOMEONE
+  Makes a single-use invite to the book and shows its link and code to send
+  to the person joining. The server decides when it expires.
+*/
+export default function InvitePanel({ onClose }) {
+  const [invite, setInvite] = useState(null);
+  const [isCreating, setCreating] = useState(false);
+  const [isCopied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const createInvite = async () => {
+    setError('');
+    setCreating(true);
+    try {
+      setInvite(await invites.create());
+      setCopied(false);
+    } catch (err) {
+      setError('Could not create an invite. Please try again.');
+      console.error('Error creating invite:', err);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(invite.code));
+      setCopied(true);
+    } catch (err) {
+      setError('Could not copy the link; select it and copy it instead.');
+      console.error('Error copying invite link:', err);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-sm space-y-4 text-left"
+      >
+        <h3 className="text-xl font-semibold">Invite Someone</h3>
+        <p className="text-sm text-gray-600">
+          The link lets one person create an account that shares this book. It works once.
+        </p>
+        {error && <p className="text-red-500">{error}</p>}
+        {invite && (
+          <div className="space-y-2">
+            <input
+              type="text"
+              readOnly
+              value={inviteLink(invite.code)}
+              onFocus={(e) => e.target.select()}
+              className="w-full border border-gray-300 p-2 rounded text-sm"
+            />
+            <p className="text-sm">
+              Code: <span className="font-mono font-semibold">{invite.code}</span>
+            </p>
+            <p className="text-sm text-gray-500">Expires {formatExpiry(invite.expiresAt)}.</p>
+          </div>
+        )}
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onClose}>Close</Button>
+          {invite && (
+            <Button variant="outlined" onClick={copyLink}>
+              {isCopied ? 'Copied' : 'Copy Link'}
+            </Button>
+          )}
+          <Button variant="contained" onClick={createInvite} disabled={isCreating}>
+            {invite ? 'New Invite' : 'Create Invite'}
+          </Button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,147 @@
+// JournalHistory.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { journal } from './api';
+import { diffTokens } from './journalMerge';
+import { htmlToText } from './search';
+
+/*
+  Helper: Word-level diff of two pages as a list of { type, text } parts,
+  where type is "same", "removed" or "added".
+*/
+const diffPages = (olderHtml, newerHtml) => {
+  const older = htmlToText(olderHtml).match(/\s+|[^\s]+/g) || [];
+  const newer = htmlToText(newerHtml).match(/\s+|[^\s]+/g) || [];
+  const parts = [];
+  for (const [type, i] of diffTokens(older, newer)) {
+    const part = type === '='
+      ? { type: 'same', text: older[i] }
+      : type === '-'
+        ? { type: 'removed', text: older[i] }
+        : { type: 'added', text: newer[i] };
+    const last = parts[parts.length - 1];
+    if (last && last.type === part.type) {
+      last.text += part.text;
+    } else {
+      parts.push(part);
+    }
+  }
+  return parts;
+};
+
+const formatTimestamp = (iso) =>
+  new Date(iso).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+/*
+  JOURNAL HISTORY PANEL
+  Lists the saved revisions of one journal date (newest first) with author and
+  timestamp. Pick any two to see a word diff between them; restoring an older
+  revision hands its content to onRestore, which saves it as a new revision.
+*/
+export default function JournalHistory({ date, onRestore, onClose }) {
+  const [revisions, setRevisions] = useState([]);
+  const [error, setError] = useState('');
+  // Revision numbers being compared: [older, newer].
+  const [compare, setCompare] = useState([]);
+
+  useEffect(() => {
+    journal
+      .revisions(date)
+      .then((list) => {
+        const sorted = [...list].sort((a, b) => b.revision - a.revision);
+        setRevisions(sorted);
+        setCompare(sorted.length > 1 ? [sorted[1].revision, sorted[0].revision] : []);
+      })
+      .catch((err) => {
+        setError('Could not load the history for this page.');
+        console.error('Error fetching journal revisions:', err);
+      });
+  }, [date]);
+
+  const toggleCompare = (revision) => {
+    setCompare((prev) => {
+      if (prev.includes(revision)) return prev.filter((r) => r !== revision);
+      // Keep the most recent pick and the new one, ordered older → newer.
+      return [...prev.slice(-1), revision].sort((a, b) => a - b);
+    });
+  };
+
+  const diff = useMemo(() => {
+    if (compare.length !== 2) return null;
+    const older = revisions.find((r) => r.revision === compare[0]);
+    const newer = revisions.find((r) => r.revision === compare[1]);
+    return older && newer ? diffPages(older.content, newer.content) : null;
+  }, [compare, revisions]);
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded shadow-lg w-full max-w-2xl p-4 text-left"
+        style={{ maxHeight: '90vh', overflowY: 'auto' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="text-xl font-semibold">History</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700" title="Close">
+            ×
+          </button>
+        </div>
+        {error && <p className="text-red-500 mb-2">{error}</p>}
+        {!error && revisions.length === 0 && <p>No saved revisions for this date yet.</p>}
+        <ul className="mb-4">
+          {revisions.map((rev, i) => (
+            <li key={rev.revision} className="flex items-center justify-between border-b border-gray-200 py-1">
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={compare.includes(rev.revision)}
+                  onChange={() => toggleCompare(rev.revision)}
+                />
+                <span>
+                  #{rev.revision} · <strong>{rev.author || 'unknown'}</strong> · {formatTimestamp(rev.updatedAt)}
+                  {i === 0 && <span className="ml-2 text-xs text-gray-500">(current)</span>}
+                </span>
+              </label>
+              {i > 0 && (
+                <Button size="small" onClick={() => onRestore(rev.content)}>
+                  Restore
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+        {diff && (
+          <div>
+            <p className="text-sm text-gray-600 mb-1">
+              Changes from #{compare[0]} to #{compare[1]}
+            </p>
+            <div className="border border-gray-300 rounded p-2" style={{ whiteSpace: 'pre-wrap' }}>
+              {diff.map((part, i) =>
+                part.type === 'added' ? (
+                  <ins key={i} className="bg-green-100 no-underline">{part.text}</ins>
+                ) : part.type === 'removed' ? (
+                  <del key={i} className="bg-red-100 text-red-700">{part.text}</del>
+                ) : (
+                  <span key={i}>{part.text}</span>
+                )
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+}
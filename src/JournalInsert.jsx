@@ -0,0 +1,73 @@
+// JournalInsert.jsx
+import { useState } from 'react';
+import { AnimatePresence } from 'framer-motion';
+import PhotoPicker from './PhotoPicker';
+import { STICKERS, stickerUrl, createEmbed, embedsIn } from './journalEmbeds';
+
+/*
+  JOURNAL INSERT
+  Toolbar buttons putting a photo or a sticker on the page in editorRef; they
+  land near the top of the page, to be dragged into place (see EmbedEditor).
+  onChange gets the page HTML afterwards.
+*/
+export default function JournalInsert({ editorRef, date, dayPhotos, onChange }) {
+  const [isPickingPhoto, setPickingPhoto] = useState(false);
+  const [isPickingSticker, setPickingSticker] = useState(false);
+
+  const insert = (item) => {
+    const editor = editorRef.current;
+    editor.appendChild(createEmbed(item, embedsIn(editor).length));
+    onChange(editor.innerHTML);
+  };
+
+  const buttonClass = 'px-2 py-1 rounded text-sm bg-gray-200 text-gray-700';
+
+  return (
+    <>
+      <button type="button" title="Add a photo" onClick={() => setPickingPhoto(true)} className={buttonClass}>
+        📷 Photo
+      </button>
+      <span className="relative">
+        <button
+          type="button"
+          title="Add a sticker"
+          onClick={() => setPickingSticker(!isPickingSticker)}
+          className={buttonClass}
+        >
+          ♥ Sticker
+        </button>
+        {isPickingSticker && (
+          <div className="absolute right-0 top-full mt-1 z-20 bg-white rounded shadow-lg p-2 grid grid-cols-4 gap-1 w-48">
+            {STICKERS.map((sticker) => (
+              <button
+                key={sticker.name}
+                type="button"
+                title={sticker.label}
+                onClick={() => {
+                  insert({ sticker: sticker.name });
+                  setPickingSticker(false);
+                }}
+                className="p-1 rounded hover:bg-pink-100"
+              >
+                <img src={stickerUrl(sticker.name)} alt={sticker.label} className="w-8 h-8" />
+              </button>
+            ))}
+          </div>
+        )}
+      </span>
+      <AnimatePresence>
+        {isPickingPhoto && (
+          <PhotoPicker
+            date={date}
+            dayPhotos={dayPhotos}
+            onPick={(photo) => {
+              insert({ photo });
+              setPickingPhoto(false);
+            }}
+            onClose={() => setPickingPhoto(false)}
+          />
+        )}
+      </AnimatePresence>
+    </>
+  );
+}
@@ -0,0 +1,224 @@
+// Lightbox.jsx
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { formatDate } from './dates';
+import { photoDay } from './photoLinks';
+
+const SLIDESHOW_SECONDS = 4;
+const MAX_ZOOM = 4;
+// How far (px) or fast (px/s) a swipe must go to change photo.
+const SWIPE_DISTANCE = 80;
+const SWIPE_VELOCITY = 500;
+
+// New photos slide in from the side they come from; the first one grows in.
+const slideVariants = {
+  enter: (direction) => (direction ? { x: direction * 300, opacity: 0 } : { scale: 0.5, opacity: 0 }),
+  center: { x: 0, scale: 1, opacity: 1 },
+  exit: (direction) => (direction ? { x: -direction * 300, opacity: 0 } : { scale: 0.5, opacity: 0 })
+};
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(1, zoom));
+
+/*
+  LIGHTBOX
+  Shows one photo of a list full size, with its caption, uploader and day.
+  Arrow keys, swipes and the ‹ › buttons move through the list (wrapping
+  around). A list loaded a page at a time passes its total and hasMore: past
+  the last loaded photo the lightbox asks for the next page and waits for it
+  instead of wrapping. Escape closes it, space starts or stops the slideshow. The wheel,
+  double-click and the +/− buttons zoom; a zoomed photo is panned by dragging
+  and recentred when zoomed back out.
+*/
+export default function Lightbox({
+  images,
+  index,
+  total = images.length,
+  hasMore = false,
+  onLoadMore,
+  onIndexChange,
+  onClose
+}) {
+  const [direction, setDirection] = useState(0);
+  const [zoom, setZoom] = useState(1);
+  const [isPlaying, setPlaying] = useState(false);
+  // Set after moving past the last loaded photo, until the next page arrives.
+  const [isWaiting, setWaiting] = useState(false);
+  const image = images[index];
+  const imageId = image && image._id;
+  const canMove = total > 1;
+
+  const go = (step) => {
+    if (!canMove) return;
+    const next = index + step;
+    if (hasMore && next < 0) return;
+    setDirection(step);
+    if (hasMore && next >= images.length) {
+      setWaiting(true);
+      onLoadMore();
+      return;
+    }
+    setWaiting(false);
+    onIndexChange((next + images.length) % images.length);
+  };
+
+  // Moves on once the next page is in, or wraps around when there was none.
+  useEffect(() => {
+    if (!isWaiting) return;
+    if (index + 1 < images.length) {
+      setWaiting(false);
+      onIndexChange(index + 1);
+    } else if (!hasMore) {
+      setWaiting(false);
+      onIndexChange(0);
+    }
+  }, [isWaiting, index, images.length, hasMore, onIndexChange]);
+
+  // Each photo opens unzoomed.
+  useEffect(() => {
+    setZoom(1);
+  }, [imageId]);
+
+  // The neighbours are loaded ahead of time.
+  useEffect(() => {
+    if (!canMove) return;
+    [index + 1, index - 1].forEach((i) => {
+      new Image().src = images[(i + images.length) % images.length].url;
+    });
+  }, [canMove, images, index]);
+
+  // The slideshow timer calls the latest go without restarting on every render.
+  const goRef = useRef(go);
+  useLayoutEffect(() => {
+    goRef.current = go;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+      else if (e.key === 'ArrowRight') go(1);
+      else if (e.key === 'ArrowLeft') go(-1);
+      else if (e.key === ' ' && canMove) {
+        e.preventDefault();
+        setPlaying((playing) => !playing);
+      } else if (e.key === '+' || e.key === '=') setZoom((z) => clampZoom(z + 0.5));
+      else if (e.key === '-') setZoom((z) => clampZoom(z - 0.5));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // The slideshow waits while a photo is zoomed in.
+  useEffect(() => {
+    if (!isPlaying || zoom > 1) return;
+    const timer = setTimeout(() => goRef.current(1), SLIDESHOW_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [isPlaying, zoom, index]);
+
+  if (!image) return null;
+
+  const handleDragEnd = (e, info) => {
+    if (zoom > 1) return;
+    if (info.offset.x < -SWIPE_DISTANCE || info.velocity.x < -SWIPE_VELOCITY) go(1);
+    else if (info.offset.x > SWIPE_DISTANCE || info.velocity.x > SWIPE_VELOCITY) go(-1);
+  };
+
+  const stop = (e) => e.stopPropagation();
+  const controlClass = 'bg-black bg-opacity-50 text-white rounded-full w-10 h-10 text-xl';
+  const day = photoDay(image);
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-75 flex flex-col items-center justify-center z-50 select-none"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+      onWheel={(e) => setZoom((z) => clampZoom(z - Math.sign(e.deltaY) * 0.25))}
+    >
+      <div className="absolute top-2 right-2 flex space-x-2 z-10" onClick={stop}>
+        <button onClick={() => setZoom((z) => clampZoom(z - 0.5))} className={controlClass} title="Zoom out">
+          −
+        </button>
+        <button onClick={() => setZoom((z) => clampZoom(z + 0.5))} className={controlClass} title="Zoom in">
+          +
+        </button>
+        {canMove && (
+          <button
+            onClick={() => setPlaying(!isPlaying)}
+            className={controlClass}
+            title={isPlaying ? 'Pause slideshow' : 'Play slideshow'}
+          >
+            {isPlaying ? '❚❚' : '▶'}
+          </button>
+        )}
+        <button onClick={onClose} className={controlClass} title="Close">
+          ×
+        </button>
+      </div>
+      {canMove && (
+        <>
+          <button
+            onClick={(e) => {
+              stop(e);
+              go(-1);
+            }}
+            className={`${controlClass} absolute left-2 z-10`}
+            title="Previous photo"
+          >
+            ‹
+          </button>
+          <button
+            onClick={(e) => {
+              stop(e);
+              go(1);
+            }}
+            className={`${controlClass} absolute right-2 z-10`}
+            title="Next photo"
+          >
+            ›
+          </button>
+        </>
+      )}
+      <div className="relative flex-1 w-full flex items-center justify-center overflow-hidden">
+        <AnimatePresence custom={direction}>
+          <motion.div
+            key={image._id}
+            custom={direction}
+            variants={slideVariants}
+            initial="enter"
+            animate="center"
+            exit="exit"
+            transition={{ duration: 0.3 }}
+            className="absolute inset-0 flex items-center justify-center"
+          >
+            <motion.img
+              src={image.url}
+              alt={image.description || 'Gallery image'}
+              className="max-w-full max-h-full"
+              style={{ cursor: zoom > 1 ? 'grab' : 'auto', touchAction: 'none' }}
+              draggable={false}
+              onClick={stop}
+              onDoubleClick={() => setZoom(zoom > 1 ? 1 : 2)}
+              drag={zoom > 1 ? true : canMove ? 'x' : false}
+              dragConstraints={zoom > 1 ? undefined : { left: 0, right: 0 }}
+              dragElastic={zoom > 1 ? 0 : 0.7}
+              dragMomentum={false}
+              onDragEnd={handleDragEnd}
+              animate={zoom > 1 ? { scale: zoom } : { scale: 1, x: 0, y: 0 }}
+            />
+          </motion.div>
+        </AnimatePresence>
+      </div>
+      <div className="w-full p-3 text-center text-white bg-black bg-opacity-50" onClick={stop}>
+        {image.description && <p>{image.description}</p>}
+        <p className="text-sm text-gray-300">
+          {[image.uploadedBy && `Uploaded by ${image.uploadedBy}`, day && formatDate(day)]
+            .filter(Boolean)
+            .join(' · ')}
+          {canMove && ` · ${index + 1} / ${total}`}
+          {isWaiting && ' · Loading…'}
+        </p>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,153 @@
+// PhotoDetails.jsx
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { parseTags } from './galleryFilters';
+import { photoDay } from './photoLinks';
+import { loadCalendarDay } from './offlineSync';
+import { formatEventTime } from './eventDetails';
+
+/*
+  PHOTO DETAILS
+  Edits the description, album and tags of an uploaded photo. Albums are
+  picked from the existing ones or created by typing a new name. The photo's
+  date (the upload day unless set) lists that day's events to link it to.
+*/
+export default function PhotoDetails({ image, albums, onSave, onClose }) {
+  const [description, setDescription] = useState(image.description || '');
+  const [album, setAlbum] = useState(image.album || '');
+  const [tags, setTags] = useState((image.tags || []).join(', '));
+  const [date, setDate] = useState(photoDay(image));
+  const [eventIds, setEventIds] = useState(image.eventIds || []);
+  // Events on the chosen date; occurrences link to their series.
+  const [dayEvents, setDayEvents] = useState([]);
+  const [error, setError] = useState('');
+  const [isSaving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!date) {
+      setDayEvents([]);
+      return;
+    }
+    loadCalendarDay(date)
+      .then((events) => setDayEvents(events.filter((event) => !event.pending)))
+      .catch((err) => console.error('Error fetching events for the photo:', err));
+  }, [date]);
+
+  const eventId = (event) => event.occurrenceOf || event._id;
+
+  const toggleEvent = (id) =>
+    setEventIds(eventIds.includes(id) ? eventIds.filter((other) => other !== id) : [...eventIds, id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSaving(true);
+    try {
+      // Only links to events of the chosen date are kept.
+      const dayIds = dayEvents.map(eventId);
+      await onSave({
+        description,
+        album: album.trim(),
+        tags: parseTags(tags),
+        date,
+        eventIds: eventIds.filter((id) => dayIds.includes(id))
+      });
+      onClose();
+    } catch (err) {
+      setError('Could not save the photo details. Please try again.');
+      console.error('Error saving photo details:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-sm space-y-4 text-left"
+      >
+        <h3 className="text-xl font-semibold">Photo Details</h3>
+        <img src={image.thumbnailUrl || image.url} alt="" className="w-full max-h-48 object-contain rounded" />
+        {error && <p className="text-red-500">{error}</p>}
+        <div>
+          <label className="block mb-1">Description</label>
+          <input
+            type="text"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <div>
+          <label className="block mb-1">Album</label>
+          <input
+            type="text"
+            list="photo-albums"
+            value={album}
+            onChange={(e) => setAlbum(e.target.value)}
+            placeholder="No album"
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+          <datalist id="photo-albums">
+            {albums.map((name) => (
+              <option key={name} value={name} />
+            ))}
+          </datalist>
+        </div>
+        <div>
+          <label className="block mb-1">Tags (comma separated)</label>
+          <input
+            type="text"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="sunset, paris"
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        <div>
+          <label className="block mb-1">Date</label>
+          <input
+            type="date"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          />
+        </div>
+        {dayEvents.length > 0 && (
+          <div>
+            <label className="block mb-1">Events</label>
+            {dayEvents.map((event) => (
+              <label key={event._id} className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={eventIds.includes(eventId(event))}
+                  onChange={() => toggleEvent(eventId(event))}
+                />
+                <span>
+                  {event.title} <span className="text-sm text-gray-500">({formatEventTime(event)})</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="contained" disabled={isSaving}>
+            Save
+          </Button>
+        </div>
+      </form>
+    </motion.div>
+  );
+}
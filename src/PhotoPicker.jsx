@@ -0,0 +1,119 @@
+// PhotoPicker.jsx
+import { useEffect, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { loadGalleryPage } from './offlineSync';
+import { uploadPhoto } from './uploadQueue';
+
+const PAGE_SIZE = 24;
+
+const Thumbnail = ({ photo, onPick }) => (
+  <button type="button" onClick={() => onPick(photo)} title={photo.description || 'Add this photo'}>
+    <img
+      src={photo.thumbnailUrl || photo.url}
+      alt={photo.description || 'Photo'}
+      className="w-full aspect-square object-cover rounded border border-gray-200 hover:border-pink-500"
+      loading="lazy"
+    />
+  </button>
+);
+
+/*
+  PHOTO PICKER
+  Chooses a photo to put on a journal page: the day's photos first, then the
+  gallery newest first (a page at a time), or a new photo uploaded on the
+  spot with the page's date.
+*/
+export default function PhotoPicker({ date, dayPhotos, onPick, onClose }) {
+  const inputRef = useRef(null);
+  const [photos, setPhotos] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isUploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPhotos = async (cursor) => {
+    try {
+      const page = await loadGalleryPage({ cursor, limit: PAGE_SIZE });
+      setPhotos((loaded) => [...loaded, ...page.items]);
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      setError('Could not load the gallery.');
+      console.error('Error fetching gallery images:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchPhotos();
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    setUploading(true);
+    try {
+      onPick(await uploadPhoto(file, { description: '', date }));
+    } catch (err) {
+      setError('Could not upload the photo. Please try again.');
+      console.error('Error uploading image:', err);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const dayIds = new Set(dayPhotos.map((photo) => photo._id));
+  const otherPhotos = photos.filter((photo) => !dayIds.has(photo._id));
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-lg space-y-4 text-left"
+        style={{ maxHeight: '90vh', overflowY: 'auto' }}
+      >
+        <h3 className="text-xl font-semibold">Add a Photo to the Page</h3>
+        {error && <p className="text-red-500">{error}</p>}
+        <div>
+          <Button variant="outlined" onClick={() => inputRef.current.click()} disabled={isUploading}>
+            {isUploading ? 'Uploading…' : 'Upload a New Photo'}
+          </Button>
+          <input ref={inputRef} type="file" accept="image/*" onChange={handleFileChange} className="hidden" />
+        </div>
+        {dayPhotos.length > 0 && (
+          <div>
+            <h4 className="font-semibold mb-2">This day</h4>
+            <div className="grid grid-cols-4 gap-2">
+              {dayPhotos.map((photo) => (
+                <Thumbnail key={photo._id} photo={photo} onPick={onPick} />
+              ))}
+            </div>
+          </div>
+        )}
+        <div>
+          <h4 className="font-semibold mb-2">Gallery</h4>
+          {otherPhotos.length === 0 && !nextCursor && <p className="text-sm text-gray-500">No other photos yet.</p>}
+          <div className="grid grid-cols-4 gap-2">
+            {otherPhotos.map((photo) => (
+              <Thumbnail key={photo._id} photo={photo} onPick={onPick} />
+            ))}
+          </div>
+          {nextCursor && (
+            <button type="button" onClick={() => fetchPhotos(nextCursor)} className="mt-2 text-sm text-pink-600 underline">
+              Load more
+            </button>
+          )}
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={onClose}>Cancel</Button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
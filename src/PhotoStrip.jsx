@@ -0,0 +1,33 @@
+// PhotoStrip.jsx
+import { useNavigate } from 'react-router-dom';
+
+/*
+  PHOTO STRIP
+  A row of thumbnails that open their photo in the gallery lightbox. Used as
+  the filmstrip under a journal page and next to calendar events.
+*/
+export default function PhotoStrip({ photos, size = 56, className = '' }) {
+  const navigate = useNavigate();
+  if (!photos.length) return null;
+
+  return (
+    <div className={`flex gap-2 overflow-x-auto ${className}`}>
+      {photos.map((photo) => (
+        <button
+          key={photo._id}
+          onClick={() => navigate('/gallery/' + photo._id)}
+          className="flex-shrink-0"
+          title={photo.description || 'Open photo'}
+        >
+          <img
+            src={photo.thumbnailUrl || photo.url}
+            alt={photo.description || 'Photo'}
+            className="object-cover rounded border border-gray-200"
+            style={{ width: size, height: size }}
+            loading="lazy"
+          />
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+// ProfileSettings.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { getCurrentUser } from './api';
+import { INK_FONTS, inkFor, saveMyProfile, useProfiles } from './profiles';
+
+/*
+  PROFILE SETTINGS
+  Lets the logged in user pick the ink color and font their journal text is
+  rendered in (for both of you), with a live preview.
+*/
+export default function ProfileSettings({ onClose }) {
+  const currentUser = getCurrentUser();
+  const profiles = useProfiles();
+  const ink = inkFor(profiles, currentUser);
+  const [inkColor, setInkColor] = useState(ink.color);
+  const [font, setFont] = useState(ink.font);
+  const [error, setError] = useState('');
+  const [isSaving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await saveMyProfile({ inkColor, font });
+      onClose();
+    } catch (err) {
+      setError('Could not save your ink. Please try again.');
+      console.error('Error saving profile:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-sm space-y-4 text-left"
+      >
+        <h3 className="text-xl font-semibold">Your Ink</h3>
+        {error && <p className="text-red-500">{error}</p>}
+        <div>
+          <label className="block mb-1">Color</label>
+          <input
+            type="color"
+            value={inkColor}
+            onChange={(e) => setInkColor(e.target.value)}
+            className="w-16 h-10 border border-gray-300 rounded"
+          />
+        </div>
+        <div>
+          <label className="block mb-1">Font</label>
+          <select
+            value={font}
+            onChange={(e) => setFont(e.target.value)}
+            className="border border-gray-300 p-2 rounded w-full"
+          >
+            {INK_FONTS.map((f) => (
+              <option key={f.label} value={f.value}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p
+          className="p-2 rounded"
+          style={{ backgroundColor: '#F5ECD9', color: inkColor, fontFamily: font || undefined }}
+        >
+          Dear diary, today was lovely…
+        </p>
+        <div className="flex justify-end space-x-2">
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSaving}>
+            Save
+          </Button>
+        </div>
+      </form>
+    </motion.div>
+  );
+}
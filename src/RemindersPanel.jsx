@@ -0,0 +1,126 @@
+// RemindersPanel.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Button } from '@mui/material';
+import { useNavigate } from 'react-router-dom';
+import {
+  SNOOZE_OPTIONS,
+  useReminders,
+  snoozeReminder,
+  dismissReminder,
+  describeReminder,
+  notificationPermission,
+  requestNotificationPermission
+} from './reminders';
+import { formatDate } from './dates';
+import { categoryColor, formatEventTime } from './eventDetails';
+
+const formatFireTime = (date) =>
+  date.toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+/*
+  REMINDERS
+  Reminders that fired (to snooze or dismiss) and those of the coming week
+  (to skip), plus a prompt to allow browser notifications.
+*/
+export default function RemindersPanel({ onClose }) {
+  const navigate = useNavigate();
+  const { due, upcoming } = useReminders();
+  const [permission, setPermission] = useState(notificationPermission);
+
+  const enableNotifications = async () => setPermission(await requestNotificationPermission());
+
+  const openEvent = (event) => {
+    navigate('/calendar/' + event.date);
+    onClose();
+  };
+
+  const renderReminder = (instance, isDue) => (
+    <li
+      key={instance.key}
+      className="p-3 border border-gray-200 rounded"
+      style={{ borderLeft: `4px solid ${categoryColor(instance.event.category)}` }}
+    >
+      <button onClick={() => openEvent(instance.event)} className="font-bold hover:underline text-left">
+        {instance.event.title}
+      </button>
+      <p className="text-sm text-gray-600">
+        {formatDate(instance.event.date)}, {formatEventTime(instance.event)}
+      </p>
+      <p className="text-xs text-gray-500">
+        🔔 {instance.snoozed ? `Snoozed until ${formatFireTime(instance.fireAt)}` : describeReminder(instance.reminder)}
+        {!isDue && !instance.snoozed && ` (${formatFireTime(instance.fireAt)})`}
+      </p>
+      <div className="mt-1 text-sm space-x-2">
+        {isDue &&
+          SNOOZE_OPTIONS.map((option) => (
+            <button
+              key={option.minutes}
+              onClick={() => snoozeReminder(instance.key, option.minutes)}
+              className="text-pink-600 underline"
+            >
+              Snooze {option.label}
+            </button>
+          ))}
+        <button onClick={() => dismissReminder(instance.key)} className="text-gray-500 underline">
+          {isDue ? 'Dismiss' : 'Skip'}
+        </button>
+      </div>
+    </li>
+  );
+
+  return (
+    <motion.div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      onClick={onClose}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white p-6 rounded shadow-lg w-full max-w-md space-y-4 text-left"
+        style={{ maxHeight: '90vh', overflowY: 'auto' }}
+      >
+        <h3 className="text-xl font-semibold">Reminders</h3>
+        {permission === 'default' && (
+          <div className="text-sm">
+            <p className="mb-2 text-gray-600">Allow notifications to get reminders while the book is in the background.</p>
+            <Button variant="outlined" size="small" onClick={enableNotifications}>
+              Allow notifications
+            </Button>
+          </div>
+        )}
+        {permission === 'denied' && (
+          <p className="text-sm text-amber-700">
+            Notifications are blocked for this site, so reminders only show up here.
+          </p>
+        )}
+        {permission === 'unsupported' && (
+          <p className="text-sm text-amber-700">
+            This browser can&apos;t show notifications, so reminders only show up here.
+          </p>
+        )}
+        <div>
+          <h4 className="font-semibold mb-2">Now</h4>
+          {due.length === 0 ? (
+            <p className="text-sm text-gray-600">Nothing to remind you of.</p>
+          ) : (
+            <ul className="space-y-2">{due.map((instance) => renderReminder(instance, true))}</ul>
+          )}
+        </div>
+        <div>
+          <h4 className="font-semibold mb-2">Coming up this week</h4>
+          {upcoming.length === 0 ? (
+            <p className="text-sm text-gray-600">No reminders in the next 7 days.</p>
+          ) : (
+            <ul className="space-y-2">{upcoming.map((instance) => renderReminder(instance, false))}</ul>
+          )}
+        </div>
+        <div className="flex justify-end">
+          <Button onClick={onClose}>Close</Button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
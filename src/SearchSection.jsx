@@ -0,0 +1,180 @@
+// SearchSection.jsx
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { searchBook } from './offlineSync';
+import { htmlToText, queryTerms, snippetParts } from './search';
+import { photoDay } from './photoLinks';
+
+const UNDATED = 'undated';
+
+const formatDay = (day) =>
+  day === UNDATED
+    ? 'Undated photos'
+    : new Date(day + 'T00:00').toLocaleDateString('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+      });
+
+/*
+  Helper: Flatten the search results into rows of { key, day, kind, title,
+  text, link, image } grouped by day, newest day first.
+*/
+const groupResults = (results) => {
+  const rows = [
+    ...results.journal.map((page) => ({
+      key: `journal-${page.date}`,
+      day: page.date,
+      kind: 'Journal',
+      text: htmlToText(page.content),
+      link: `/journal/${page.date}`
+    })),
+    ...results.events.map((event) => ({
+      key: `event-${event._id}`,
+      day: event.date,
+      kind: 'Calendar',
+      title: event.title,
+      text: event.description,
+      link: `/calendar/${event.date}`
+    })),
+    ...results.photos.map((photo) => ({
+      key: `photo-${photo._id}`,
+      day: photoDay(photo) || UNDATED,
+      kind: 'Photo',
+      text: photo.description,
+      link: `/gallery/${photo._id}`,
+      image: photo.thumbnailUrl || photo.url
+    }))
+  ];
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.day)) groups.set(row.day, []);
+    groups.get(row.day).push(row);
+  });
+  return [...groups.entries()].sort(([a], [b]) =>
+    a === UNDATED ? 1 : b === UNDATED ? -1 : b.localeCompare(a)
+  );
+};
+
+function Highlighted({ text, terms }) {
+  return snippetParts(text, terms).map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-yellow-200">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={i}>{part.text}</span>
+    )
+  );
+}
+
+/*
+  SEARCH SECTION
+  Searches journal pages, calendar events and photo descriptions. The query
+  lives in the URL (/search?q=…) so the back button returns to the results
+  after jumping to a page, event or photo.
+*/
+export default function SearchSection() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const [input, setInput] = useState(query);
+  const [results, setResults] = useState(null);
+  const [isSearching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  // Follow the URL when it changes from outside (back/forward).
+  useEffect(() => {
+    setInput(query);
+  }, [query]);
+
+  // Update the URL once typing pauses.
+  useEffect(() => {
+    if (input === query) return undefined;
+    const timer = setTimeout(() => {
+      navigate(input.trim() ? `/search?q=${encodeURIComponent(input)}` : '/search', { replace: true });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [input, query, navigate]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!queryTerms(query).length) {
+      setResults(null);
+      return undefined;
+    }
+    setSearching(true);
+    setError('');
+    searchBook(query)
+      .then((found) => {
+        if (!cancelled) setResults(found);
+      })
+      .catch((err) => {
+        if (!cancelled) setError('Search failed. Please try again.');
+        console.error('Error searching:', err);
+      })
+      .finally(() => {
+        if (!cancelled) setSearching(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  const terms = useMemo(() => queryTerms(query), [query]);
+  const groups = useMemo(() => (results ? groupResults(results) : []), [results]);
+
+  return (
+    <div className="text-left text-gray-800">
+      <h2 className="text-2xl font-semibold mb-4 text-center">Search</h2>
+      <input
+        type="search"
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        placeholder="e.g. beach"
+        className="border border-gray-300 p-2 rounded w-full mb-4"
+        autoFocus
+      />
+      {error && <p className="text-red-500">{error}</p>}
+      {isSearching && <p className="text-gray-500">Searching…</p>}
+      {!isSearching && results && groups.length === 0 && (
+        <p className="text-gray-500">Nothing found for “{query}”.</p>
+      )}
+      <div style={{ maxHeight: '700px', overflowY: 'auto' }}>
+        {groups.map(([day, rows]) => (
+          <div key={day} className="mb-4">
+            <h3 className="font-semibold border-b border-gray-300 mb-2">{formatDay(day)}</h3>
+            <ul className="space-y-2">
+              {rows.map((row) => (
+                <li key={row.key}>
+                  <button
+                    onClick={() => navigate(row.link)}
+                    className="w-full text-left flex items-start space-x-3 p-2 rounded hover:bg-pink-50"
+                  >
+                    {row.image && (
+                      <img src={row.image} alt="" className="w-16 h-16 object-cover rounded" />
+                    )}
+                    <div>
+                      <span className="text-xs uppercase tracking-wide text-pink-600">{row.kind}</span>
+                      {row.title && (
+                        <p className="font-semibold">
+                          <Highlighted text={row.title} terms={terms} />
+                        </p>
+                      )}
+                      {row.text && (
+                        <p className="text-sm">
+                          <Highlighted text={row.text} terms={terms} />
+                        </p>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,457 @@
+// api.js
+import axios from 'axios';
+
+/*
+  Base URL of the backend API, read from the Vite env config.
+  Set VITE_API_BASE_URL (e.g. in .env.local) to point the app at staging,
+  a local Express server or a mock. Falls back to the production backend.
+*/
+export const API_BASE_URL = (
+  import.meta.env.VITE_API_BASE_URL || 'https://valentines-book-backend.onrender.com/api'
+).replace(/\/+$/, '');
+
+/**
+ * @typedef {Object} Session
+ * @property {string} token    JWT returned by the backend.
+ * @property {string} username Name of the logged in user.
+ */
+
+/**
+ * @typedef {Object} Invite
+ * @property {string} code      Single-use registration code.
+ * @property {string} createdBy Member whose book the new account joins.
+ * @property {string} expiresAt ISO timestamp after which the code is refused.
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} date    Date in "YYYY-MM-DD" format.
+ * @property {string} content HTML content of the page.
+ * @property {number} [revision] Incremented by the server on every save.
+ * @property {string} [author]   User who saved this revision.
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} username
+ * @property {string} [inkColor] CSS color used for the user's journal text.
+ * @property {string} [font]     CSS font-family used for the user's journal text.
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} freq       "yearly", "monthly", "weekly" or "daily".
+ * @property {number} [interval] Repeat every N periods (default 1).
+ * @property {string} [until]    Last possible date, "YYYY-MM-DD".
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} _id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} date Date in "YYYY-MM-DD" format (the first occurrence for recurring events).
+ * @property {boolean} [allDay]   Missing or true unless the event has a startTime.
+ * @property {string} [startTime]  Local time, "HH:MM".
+ * @property {string} [endTime]    Local time, "HH:MM".
+ * @property {string} [location]
+ * @property {string} [category]   Picks the event's color (see eventDetails.js).
+ * @property {Recurrence} [recurrence]
+ * @property {string[]} [exceptions] Dates of occurrences deleted or edited on their own.
+ * @property {string} [seriesId]     For an occurrence edited on its own, the id of its series.
+ * @property {string} [uid]          iCalendar UID of an imported event (see ical.js).
+ * @property {Reminder[]} [reminders]
+ */
+
+/**
+ * @typedef {Object} Reminder  Either minutesBefore, or daysBefore and time (see reminders.js).
+ * @property {number} [minutesBefore] Minutes before the start (9:00 for all-day events).
+ * @property {number} [daysBefore]
+ * @property {string} [time]          Local time, "HH:MM".
+ */
+
+/**
+ * @typedef {Object} GalleryImage
+ * @property {string} _id
+ * @property {string} url          The full-size image, for the lightbox.
+ * @property {string} [thumbnailUrl] Small copy for grids (missing on photos uploaded before thumbnails).
+ * @property {string} [description]
+ * @property {string} [createdAt] ISO timestamp of the upload.
+ * @property {string} [uploadedBy] User who uploaded the photo (set by the server).
+ * @property {string} [album]      Name of the album the photo is in.
+ * @property {string[]} [tags]     Lowercase free-form tags (see galleryFilters.js).
+ * @property {string} [date]       "YYYY-MM-DD" day the photo belongs to, if not its upload day.
+ * @property {string[]} [eventIds] Calendar events (series ids for recurring ones) it is linked to.
+ */
+
+/**
+ * @typedef {Object} GalleryPage
+ * @property {GalleryImage[]} items   Newest first.
+ * @property {string|null} nextCursor Pass back for the next page; null on the last one.
+ * @property {number} total           Photos matching the filters, on every page.
+ */
+
+/**
+ * @typedef {Object} GalleryQuery
+ * @property {number} limit
+ * @property {string} [cursor]
+ * @property {string} [album]
+ * @property {string} [tag]
+ * @property {string} [uploader]
+ * @property {string} [from] "YYYY-MM-DD", compared with the photo's day.
+ * @property {string} [to]
+ */
+
+/**
+ * @typedef {Object} GallerySummary
+ * @property {number} total
+ * @property {GalleryImage|null} newest
+ * @property {{name: string, cover: GalleryImage, count: number}[]} albums
+ * @property {string[]} tags
+ * @property {string[]} uploaders
+ */
+
+/**
+ * @typedef {Object} SearchResults
+ * @property {JournalEntry[]}  journal Pages whose text matches.
+ * @property {CalendarEvent[]} events  Events whose title or description matches.
+ * @property {GalleryImage[]}  photos  Images whose description matches.
+ */
+
+const client = axios.create({ baseURL: API_BASE_URL });
+
+/*
+  SESSION HELPERS
+  The client owns the JWT and the username stored in localStorage (shared by
+  every tab; see session.js for expiry and cross-tab sync).
+*/
+export const TOKEN_KEY = 'token';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+export const getCurrentUser = () => localStorage.getItem('username');
+
+/** @param {Session} session */
+export const setSession = ({ token, username }) => {
+  // Token last: other tabs react to its change and read the username too.
+  localStorage.setItem('username', username);
+  localStorage.setItem(TOKEN_KEY, token);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+};
+
+// Attach the Authorization header to every request when we have a token.
+client.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// 401 handling: notify the registered handler (usually a logout) when an
+// authenticated request is rejected.
+let unauthorizedHandler = null;
+
+/**
+ * Registers the callback run when an authenticated request returns 401.
+ * @param {() => void} handler
+ * @returns {() => void} Unsubscribe function.
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+  return () => {
+    if (unauthorizedHandler === handler) unauthorizedHandler = null;
+  };
+};
+
+client.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    const wasAuthenticated = !!error.config?.headers?.Authorization;
+    if (error.response && error.response.status === 401 && wasAuthenticated && unauthorizedHandler) {
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+/*
+  AUTH
+  Every call stores the returned session so later requests are authenticated.
+*/
+export const auth = {
+  /** @returns {Promise<Session>} */
+  async login(username, password) {
+    const res = await client.post('/auth/login', { username, password });
+    setSession(res.data);
+    return res.data;
+  },
+  /**
+   * Creates an account in the book of the member who made the invite. The
+   * server refuses unknown, used and expired codes with a message.
+   * @param {string} invite Invite code (see invites.create).
+   * @returns {Promise<Session>}
+   */
+  async register(username, password, invite) {
+    const res = await client.post('/auth/register', { username, password, invite });
+    setSession(res.data);
+    return res.data;
+  },
+  /**
+   * Swaps the current, still valid token for one with a later expiry.
+   * @returns {Promise<Session>}
+   */
+  async refresh() {
+    const res = await client.post('/auth/refresh');
+    setSession(res.data);
+    return res.data;
+  }
+};
+
+/*
+  INVITES
+  A member invites someone to the book with a single-use code that expires
+  after a while; the link carrying it opens the registration page.
+*/
+export const invites = {
+  /** @returns {Promise<Invite>} */
+  async create() {
+    const res = await client.post('/invites');
+    return res.data;
+  },
+  /**
+   * Looks up an invite before registering (no login needed). Rejects with a
+   * 404 or 410 whose message says why the code can't be used.
+   * @returns {Promise<Invite>}
+   */
+  async check(code) {
+    const res = await client.get(`/auth/invites/${encodeURIComponent(code)}`);
+    return res.data;
+  }
+};
+
+/** Registration link for an invite code. */
+export const inviteLink = (code) => `${window.location.origin}/register?invite=${encodeURIComponent(code)}`;
+
+/* PROFILES */
+export const profile = {
+  /**
+   * Profiles of everyone sharing the book.
+   * @returns {Promise<Profile[]>}
+   */
+  async list() {
+    const res = await client.get('/profiles');
+    return res.data;
+  },
+  /**
+   * Updates the logged in user's profile.
+   * @param {{inkColor?: string, font?: string}} changes
+   * @returns {Promise<Profile>}
+   */
+  async update(changes) {
+    const res = await client.put('/profile', changes);
+    return res.data;
+  }
+};
+
+/* JOURNAL */
+export const journal = {
+  /**
+   * @param {string} date "YYYY-MM-DD"
+   * @returns {Promise<JournalEntry>}
+   */
+  async get(date) {
+    const res = await client.get('/journal', { params: { date } });
+    return res.data;
+  },
+  /**
+   * Saves a page. When baseRevision is given the server rejects the save with
+   * 409 (and the current entry as body) if someone else saved in between.
+   * @param {string} date "YYYY-MM-DD"
+   * @param {string} content
+   * @param {number} [baseRevision] Revision the content was derived from.
+   * @returns {Promise<JournalEntry>}
+   */
+  async save(date, content, baseRevision) {
+    const res = await client.post('/journal', { date, content, baseRevision });
+    return res.data;
+  },
+  /**
+   * Every non-empty page between two dates (inclusive), oldest first.
+   * @param {string} from "YYYY-MM-DD"
+   * @param {string} to   "YYYY-MM-DD"
+   * @returns {Promise<JournalEntry[]>}
+   */
+  async range(from, to) {
+    const res = await client.get('/journal/range', { params: { from, to } });
+    return res.data;
+  },
+  /**
+   * Saved revisions of a page, each with its full content.
+   * @param {string} date "YYYY-MM-DD"
+   * @returns {Promise<JournalEntry[]>}
+   */
+  async revisions(date) {
+    const res = await client.get('/journal/revisions', { params: { date } });
+    return res.data;
+  },
+  /**
+   * URL of the server-sent event stream for a date. EventSource can't send
+   * headers, so the token travels as a query parameter.
+   * @param {string} date "YYYY-MM-DD"
+   * @returns {string}
+   */
+  streamUrl(date) {
+    const params = new URLSearchParams({ date, token: getToken() || '' });
+    return `${API_BASE_URL}/journal/stream?${params}`;
+  }
+};
+
+/* CALENDAR */
+export const calendar = {
+  /**
+   * @param {string} date "YYYY-MM-DD"
+   * @returns {Promise<CalendarEvent[]>}
+   */
+  async list(date) {
+    const res = await client.get('/calendar', { params: { date } });
+    return res.data;
+  },
+  /**
+   * @param {string} month "YYYY-MM"
+   * @returns {Promise<CalendarEvent[]>}
+   */
+  async listMonth(month) {
+    const res = await client.get('/calendar/month', { params: { month } });
+    return res.data;
+  },
+  /**
+   * Every event between two dates (inclusive).
+   * @param {string} from "YYYY-MM-DD"
+   * @param {string} to   "YYYY-MM-DD"
+   * @returns {Promise<CalendarEvent[]>}
+   */
+  async range(from, to) {
+    const res = await client.get('/calendar/range', { params: { from, to } });
+    return res.data;
+  },
+  /**
+   * Every recurring event, whatever its start date.
+   * @returns {Promise<CalendarEvent[]>}
+   */
+  async listRecurring() {
+    const res = await client.get('/calendar/recurring');
+    return res.data;
+  },
+  /**
+   * @param {Omit<CalendarEvent, '_id'>} entry
+   * @returns {Promise<CalendarEvent>}
+   */
+  async create(entry) {
+    const res = await client.post('/calendar', entry);
+    return res.data;
+  },
+  /**
+   * Updates the given fields of an event.
+   * @param {string} id
+   * @param {Partial<CalendarEvent>} changes
+   * @returns {Promise<CalendarEvent>}
+   */
+  async update(id, changes) {
+    const res = await client.put(`/calendar/${id}`, changes);
+    return res.data;
+  },
+  /**
+   * Deletes an event; deleting a series also deletes its separately edited occurrences.
+   * @param {string} id
+   */
+  async remove(id) {
+    await client.delete(`/calendar/${id}`);
+  }
+};
+
+/* GALLERY */
+export const gallery = {
+  /**
+   * Every photo, for backups.
+   * @returns {Promise<GalleryImage[]>}
+   */
+  async list() {
+    const res = await client.get('/gallery');
+    return res.data;
+  },
+  /**
+   * One page of photos matching the filters that are set.
+   * @param {GalleryQuery} query
+   * @returns {Promise<GalleryPage>}
+   */
+  async page(query) {
+    const params = Object.fromEntries(Object.entries(query).filter(([, value]) => value));
+    const res = await client.get('/gallery', { params });
+    return res.data;
+  },
+  /** @returns {Promise<GallerySummary>} */
+  async summary() {
+    const res = await client.get('/gallery/summary');
+    return res.data;
+  },
+  /**
+   * @param {string} id
+   * @returns {Promise<GalleryImage>}
+   */
+  async get(id) {
+    const res = await client.get(`/gallery/${id}`);
+    return res.data;
+  },
+  /**
+   * @param {File|Blob} file
+   * @param {{description: string, album?: string, tags?: string[], date?: string}} details
+   * @param {File|Blob} [thumbnail] Small copy of the image (see imageResize.js).
+   * @param {{onProgress?: (fraction: number) => void, signal?: AbortSignal}} [options]
+   * @returns {Promise<GalleryImage>}
+   */
+  async upload(file, { description, album, tags, date }, thumbnail, { onProgress, signal } = {}) {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('description', description);
+    if (album) formData.append('album', album);
+    if (tags && tags.length) formData.append('tags', JSON.stringify(tags));
+    if (date) formData.append('date', date);
+    if (thumbnail) formData.append('thumbnail', thumbnail);
+    const res = await client.post('/gallery/upload', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      signal,
+      onUploadProgress: onProgress && ((e) => e.total && onProgress(e.loaded / e.total))
+    });
+    return res.data;
+  },
+  /**
+   * Edits a photo's description, album, tags, date or event links.
+   * @param {string} id
+   * @param {{description?: string, album?: string, tags?: string[], date?: string, eventIds?: string[]}} changes
+   * @returns {Promise<GalleryImage>}
+   */
+  async update(id, changes) {
+    const res = await client.put(`/gallery/${id}`, changes);
+    return res.data;
+  },
+  /** @param {string} id */
+  async remove(id) {
+    await client.delete(`/gallery/${id}`);
+  }
+};
+
+/* SEARCH */
+export const search = {
+  /**
+   * Full-text search over journal pages, calendar events and photo descriptions.
+   * @param {string} q Words that must all appear (case-insensitive).
+   * @returns {Promise<SearchResults>}
+   */
+  async query(q) {
+    const res = await client.get('/search', { params: { q } });
+    return res.data;
+  }
+};
@@ -0,0 +1,359 @@
+// backup.js
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { journal, calendar, gallery, getCurrentUser } from './api';
+import { isRecurring } from './recurrence';
+import { flushQueue, mergeRemoteJournalPage } from './offlineSync';
+import { mergeJournalHtml } from './journalMerge';
+import { sanitizeHtml } from './sanitizeHtml';
+import { createThumbnail } from './imageResize';
+import { photoDay } from './photoLinks';
+
+/*
+  BACKUP AND RESTORE
+  A backup is a zip archive holding backup.json (the journal pages, calendar
+  events and photo details of the whole book, or of a date range) and the
+  photos themselves under images/. It is read through GET /journal/range,
+  GET /calendar/range and /calendar/recurring and GET /gallery, and restored
+  through the endpoints the sections write with (POST /journal, POST
+  /calendar, POST /gallery/upload), after a dry run that compares the archive
+  with what the account already holds:
+    - "new":       not in the account yet, will be restored.
+    - "duplicate": already there unchanged, always skipped.
+    - "conflict":  the account has a different version (a journal page with
+                   other content, an event with the same title but another
+                   description); handled by the chosen conflict policy.
+    - "missing":   a photo whose image file isn't in the archive.
+  Photos count as already there when a photo of the same day and description
+  has the same image bytes.
+*/
+
+const BACKUP_FORMAT = 'valentines-book-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST = 'backup.json';
+
+// Photos downloaded side by side when looking for duplicates.
+const PARALLEL_REQUESTS = 6;
+// Dates covering the whole book.
+const ALL_DATES = ['0000-01-01', '9999-12-31'];
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+const IMAGE_TYPES = Object.fromEntries(
+  Object.entries(IMAGE_EXTENSIONS).map(([type, extension]) => [extension, type])
+);
+
+/**
+ * @typedef {Object} BackupManifest
+ * @property {string} format     Always "valentines-book-backup".
+ * @property {number} version
+ * @property {string} exportedAt ISO timestamp.
+ * @property {string} exportedBy Username of whoever made the backup.
+ * @property {string} [from]     First date of a backup limited to a date range ("YYYY-MM-DD").
+ * @property {string} [to]       Last date of that range.
+ * @property {{date: string, content: string, author?: string}[]} journal
+ * @property {Object[]} calendar Events with the ids they had in the backed up
+ *           account, so occurrences edited on their own find their series.
+ * @property {{description: string, createdAt?: string, album?: string, tags?: string[], date?: string, url: string, file: string|null}[]} gallery
+ *           file is the image's path in the archive, or null if it couldn't be downloaded.
+ *           Links to calendar events aren't kept: restored events get new ids.
+ */
+
+/**
+ * @typedef {Object} PlanItem
+ * @property {Object} item     The archived page, event or photo.
+ * @property {string} status   "new", "duplicate", "conflict" or "missing".
+ * @property {Object} [existing] The account's matching page, event or photo.
+ */
+
+/**
+ * @typedef {Object} RestorePlan
+ * @property {PlanItem[]} journal
+ * @property {PlanItem[]} calendar
+ * @property {PlanItem[]} gallery
+ */
+
+// Maps items through fn, at most `limit` at a time, keeping their order.
+const mapLimit = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+// Earliest and latest of some "YYYY-MM-DD" dates.
+const boundsOf = (dates) => [
+  dates.reduce((a, b) => (b < a ? b : a)),
+  dates.reduce((a, b) => (b > a ? b : a))
+];
+
+// The account's non-empty journal pages from–to (inclusive).
+const fetchPages = async (from, to) => (await journal.range(from, to)).filter((page) => page.content);
+
+// The account's events from–to (inclusive), plus every recurring series.
+const fetchEvents = async (from, to) => {
+  const [events, series] = await Promise.all([calendar.range(from, to), calendar.listRecurring()]);
+  return [...new Map([...events, ...series].map((event) => [event._id, event])).values()];
+};
+
+const sha256 = async (bytes) =>
+  [...new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+const extensionFor = (type, url) =>
+  IMAGE_EXTENSIONS[type] || (url.match(/\.(\w{2,5})(?:[?#]|$)/) || [])[1] || 'bin';
+
+const downloadImage = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Image request failed with status ${response.status}`);
+  const blob = await response.blob();
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), type: blob.type };
+};
+
+/**
+ * Downloads the whole book into a zip archive: every journal page, event and
+ * photo. Given a range, only the pages, events and photos (by their day, see
+ * photoLinks.js) from–to (inclusive) are kept, with the recurring series that
+ * started by then.
+ * @param {{from: string, to: string}} [range] "YYYY-MM-DD" dates.
+ * @param {(message: string) => void} [onProgress]
+ * @returns {Promise<{blob: Blob, missingImages: number}>} missingImages counts
+ *          photos whose file couldn't be downloaded (their metadata is kept).
+ */
+export async function createBackup(range, onProgress = () => {}) {
+  const [from, to] = range ? [range.from, range.to] : ALL_DATES;
+  // Include edits still waiting in the offline queue.
+  await flushQueue();
+  onProgress('Fetching pages, events and photos…');
+  const [pages, events, allImages] = await Promise.all([
+    fetchPages(from, to),
+    fetchEvents(from, to),
+    gallery.list()
+  ]);
+  const images = range ? allImages.filter((image) => photoDay(image) >= from && photoDay(image) <= to) : allImages;
+
+  const files = {};
+  const photos = [];
+  let missingImages = 0;
+  for (const [i, image] of images.entries()) {
+    onProgress(`Downloading photo ${i + 1} of ${images.length}…`);
+    let file = null;
+    try {
+      const { bytes, type } = await downloadImage(image.url);
+      file = `images/${image._id}.${extensionFor(type, image.url)}`;
+      files[file] = [bytes, { level: 0 }]; // already compressed
+    } catch (err) {
+      missingImages += 1;
+      console.error('Error downloading photo for the backup:', err);
+    }
+    photos.push({
+      description: image.description || '',
+      createdAt: image.createdAt,
+      album: image.album || '',
+      tags: image.tags || [],
+      date: image.date || '',
+      url: image.url,
+      file
+    });
+  }
+
+  /** @type {BackupManifest} */
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: getCurrentUser(),
+    ...range,
+    journal: pages.map((page) => ({ date: page.date, content: page.content, author: page.author })),
+    calendar: events.filter((event) => event.date <= to && (isRecurring(event) || event.date >= from)),
+    gallery: photos
+  };
+  files[MANIFEST] = strToU8(JSON.stringify(manifest, null, 2));
+  return { blob: new Blob([zipSync(files)], { type: 'application/zip' }), missingImages };
+}
+
+/**
+ * Opens a backup archive.
+ * @param {File|Blob} file
+ * @returns {Promise<{manifest: BackupManifest, files: Object<string, Uint8Array>}>}
+ */
+export async function readBackup(file) {
+  let manifest;
+  let files;
+  try {
+    files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    manifest = JSON.parse(strFromU8(files[MANIFEST]));
+  } catch (err) {
+    console.error('Error reading backup archive:', err);
+  }
+  if (!manifest || manifest.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a backup of the book.');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app.');
+  }
+  return { manifest, files };
+}
+
+/**
+ * Dry run: compares an archive with the account without changing anything.
+ * @returns {Promise<RestorePlan>}
+ */
+export async function planRestore({ manifest, files }) {
+  const pageDates = manifest.journal.map((page) => page.date);
+  const eventDates = manifest.calendar.map((event) => event.date);
+  const [pages, events, images] = await Promise.all([
+    pageDates.length ? fetchPages(...boundsOf(pageDates)) : [],
+    eventDates.length ? fetchEvents(...boundsOf(eventDates)) : [],
+    gallery.list()
+  ]);
+  const pagesByDate = new Map(pages.map((page) => [page.date, page]));
+  // Hashes of the account's photos, downloaded only when one could be a duplicate.
+  const accountHashes = new Map();
+  const accountHash = (image) => {
+    if (!accountHashes.has(image._id)) {
+      accountHashes.set(
+        image._id,
+        downloadImage(image.url).then(({ bytes }) => sha256(bytes), () => null)
+      );
+    }
+    return accountHashes.get(image._id);
+  };
+  const findPhoto = async (photo) => {
+    const hash = await sha256(files[photo.file]);
+    const candidates = images.filter(
+      (image) => photoDay(image) === photoDay(photo) && (image.description || '') === (photo.description || '')
+    );
+    for (const image of candidates) {
+      if ((await accountHash(image)) === hash) return image;
+    }
+    return undefined;
+  };
+
+  return {
+    journal: manifest.journal.map((page) => {
+      const item = { date: page.date, content: sanitizeHtml(page.content) };
+      const existing = pagesByDate.get(page.date);
+      if (!existing || !existing.content) return { item, status: 'new', existing };
+      const status = sanitizeHtml(existing.content) === item.content ? 'duplicate' : 'conflict';
+      return { item, status, existing };
+    }),
+    calendar: manifest.calendar.map((event) => {
+      const sameTitle = events.filter((e) => e.date === event.date && e.title === event.title);
+      const same = sameTitle.find((e) => (e.description || '') === (event.description || ''));
+      if (same) return { item: event, status: 'duplicate', existing: same };
+      return sameTitle.length
+        ? { item: event, status: 'conflict', existing: sameTitle[0] }
+        : { item: event, status: 'new' };
+    }),
+    gallery: await mapLimit(manifest.gallery, PARALLEL_REQUESTS, async (photo) => {
+      if (!photo.file || !files[photo.file]) return { item: photo, status: 'missing' };
+      const existing = await findPhoto(photo);
+      return existing ? { item: photo, status: 'duplicate', existing } : { item: photo, status: 'new' };
+    })
+  };
+}
+
+/** Counts of each status per kind, for the dry-run report. */
+export const summarizePlan = (plan) =>
+  Object.fromEntries(
+    Object.entries(plan).map(([kind, items]) => [
+      kind,
+      items.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {})
+    ])
+  );
+
+const restorePage = async ({ item, status, existing }, conflicts) => {
+  const content =
+    status === 'conflict' && conflicts === 'keep-both'
+      ? mergeJournalHtml('', existing.content, item.content)
+      : item.content;
+  const saved = await journal.save(item.date, content, existing ? existing.revision : undefined);
+  // Keep the local copy (and an open editor) in step with the restored page.
+  await mergeRemoteJournalPage(item.date, saved);
+};
+
+/*
+  Restores an event, recording its new id in ids (archived id → id in the
+  account) for the occurrences edited on their own that point at it. Those
+  are restored after every series; an occurrence whose series isn't in the
+  account becomes a plain one-off event.
+*/
+const restoreEvent = async ({ item, status, existing }, conflicts, ids) => {
+  if (status === 'conflict' && conflicts === 'replace') await calendar.remove(existing._id);
+  const { _id: archivedId, seriesId, ...event } = item;
+  if (ids.has(seriesId)) event.seriesId = ids.get(seriesId);
+  const created = await calendar.create(event);
+  if (archivedId) ids.set(archivedId, created._id);
+};
+
+const restorePhoto = async ({ item }, files) => {
+  const extension = item.file.split('.').pop();
+  const file = new File([files[item.file]], item.file.split('/').pop(), {
+    type: IMAGE_TYPES[extension] || 'application/octet-stream'
+  });
+  let thumbnail;
+  try {
+    thumbnail = await createThumbnail(file);
+  } catch (err) {
+    console.error('Error creating thumbnail:', err);
+  }
+  const { description, album, tags } = item;
+  // The upload gets a new createdAt, so the photo keeps its day explicitly.
+  await gallery.upload(file, { description, album, tags, date: photoDay(item) }, thumbnail);
+};
+
+/**
+ * Restores the "new" items of a plan, and its conflicts according to the
+ * conflict policy: "skip", "keep-both" (journal pages are merged, events
+ * added next to the existing one) or "replace" (the archived version wins).
+ * @param {RestorePlan} plan
+ * @param {Object<string, Uint8Array>} files Archive contents from readBackup.
+ * @param {string} conflicts
+ * @param {(message: string) => void} [onProgress]
+ * @returns {Promise<{restored: number, skipped: number, failed: number}>}
+ */
+export async function applyRestore(plan, files, conflicts, onProgress = () => {}) {
+  // Events already in the account keep their ids there.
+  const eventIds = new Map(
+    plan.calendar.filter((entry) => entry.existing && entry.item._id).map((entry) => [entry.item._id, entry.existing._id])
+  );
+  const events = [
+    ...plan.calendar.filter((entry) => !entry.item.seriesId),
+    ...plan.calendar.filter((entry) => entry.item.seriesId)
+  ];
+  const steps = [
+    ...plan.journal.map((entry) => ['journal page', entry, () => restorePage(entry, conflicts)]),
+    ...events.map((entry) => ['event', entry, () => restoreEvent(entry, conflicts, eventIds)]),
+    ...plan.gallery.map((entry) => ['photo', entry, () => restorePhoto(entry, files)])
+  ];
+  const result = { restored: 0, skipped: 0, failed: 0 };
+  for (const [i, [label, entry, restore]] of steps.entries()) {
+    const wanted = entry.status === 'new' || (entry.status === 'conflict' && conflicts !== 'skip');
+    if (!wanted) {
+      result.skipped += 1;
+      continue;
+    }
+    onProgress(`Restoring ${label} ${i + 1} of ${steps.length}…`);
+    try {
+      await restore();
+      result.restored += 1;
+    } catch (err) {
+      // e.g. a 409 because the page was edited since the dry run.
+      result.failed += 1;
+      console.error(`Error restoring ${label}:`, err);
+    }
+  }
+  return result;
+}
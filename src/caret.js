@@ -0,0 +1,41 @@
+// caret.js
+/*
+  Helpers to save and restore the caret of a contentEditable element as a
+  plain character offset, so its innerHTML can be replaced without the caret
+  jumping to the start.
+*/
+
+// Number of text characters before the caret, or null when the caret is elsewhere.
+export const getCaretOffset = (root) => {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  if (!root.contains(range.endContainer)) return null;
+  const before = range.cloneRange();
+  before.selectNodeContents(root);
+  before.setEnd(range.endContainer, range.endOffset);
+  return before.toString().length;
+};
+
+export const setCaretOffset = (root, offset) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let node = walker.nextNode();
+  let target = null;
+  while (node) {
+    target = node;
+    if (remaining <= node.length) break;
+    remaining -= node.length;
+    node = walker.nextNode();
+  }
+  const range = document.createRange();
+  if (target) {
+    range.setStart(target, Math.min(remaining, target.length));
+  } else {
+    range.selectNodeContents(root);
+  }
+  range.collapse(true);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+};
@@ -0,0 +1,37 @@
+// dates.js
+/*
+  Helpers: Human-readable journal dates. Dates are "YYYY-MM-DD" strings read
+  as local midnight, e.g. formatDate("2025-02-14") is "February 14, 2025" and
+  getDayName("2025-02-14") is "Friday".
+*/
+export const formatDate = (dateStr) => {
+  const date = new Date(dateStr + 'T00:00');
+  return date.toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+export const getDayName = (dateStr) => {
+  const date = new Date(dateStr + 'T00:00');
+  return date.toLocaleDateString('en-US', { weekday: 'long' });
+};
+
+/** Local "YYYY-MM-DD" day of an ISO timestamp (e.g. a photo's createdAt). */
+export const localDay = (iso) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60 * 1000).toISOString().split('T')[0];
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** "YYYY-MM" of every month touched by the range from–to. */
+export const monthsBetween = (from, to) => {
+  const months = [];
+  for (const cursor = new Date(from.slice(0, 7) + '-01T00:00'); ; cursor.setMonth(cursor.getMonth() + 1)) {
+    const month = `${cursor.getFullYear()}-${pad(cursor.getMonth() + 1)}`;
+    if (month > to.slice(0, 7)) return months;
+    months.push(month);
+  }
+};
@@ -0,0 +1,44 @@
+// eventDetails.js
+/*
+  CALENDAR EVENT DETAILS
+  Events may carry allDay, startTime/endTime ("HH:MM", local), a location and
+  a category that picks their color. Events saved before these fields existed
+  have no times and count as all-day.
+*/
+
+export const EVENT_CATEGORIES = [
+  { value: '', label: 'No category', color: '#ec4899' },
+  { value: 'anniversary', label: 'Anniversary', color: '#dc2626' },
+  { value: 'date', label: 'Date night', color: '#db2777' },
+  { value: 'birthday', label: 'Birthday', color: '#9333ea' },
+  { value: 'trip', label: 'Trip', color: '#0d9488' },
+  { value: 'reminder', label: 'Reminder', color: '#d97706' }
+];
+
+export const categoryColor = (category) =>
+  (EVENT_CATEGORIES.find((c) => c.value === (category || '')) || EVENT_CATEGORIES[0]).color;
+
+export const isAllDay = (event) => event.allDay !== false || !event.startTime;
+
+/** Orders events by date, then all-day events first, then by start time and title. */
+export const compareEvents = (a, b) =>
+  a.date.localeCompare(b.date) ||
+  Number(!isAllDay(a)) - Number(!isAllDay(b)) ||
+  (a.startTime || '').localeCompare(b.startTime || '') ||
+  (a.title || '').localeCompare(b.title || '');
+
+/** "18:30" → "6:30 PM". */
+export const formatTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2000, 0, 1, hours, minutes).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/** "All day", "6:30 PM" or "6:30 PM – 9:00 PM". */
+export const formatEventTime = (event) => {
+  if (isAllDay(event)) return 'All day';
+  const start = formatTime(event.startTime);
+  return event.endTime ? `${start} – ${formatTime(event.endTime)}` : start;
+};
@@ -0,0 +1,211 @@
+// formatting.js
+import { getCaretOffset, setCaretOffset } from './caret';
+
+/*
+  RICH-TEXT FORMATTING FOR THE JOURNAL PAGE
+  Plain DOM/Range operations instead of the deprecated document.execCommand.
+  Formatting only ever adds or replaces wrapper elements around existing
+  nodes, so the <span data-user> author spans (and their colors) stay intact
+  inside bold text, headings, list items and so on.
+*/
+
+export const INLINE_FORMATS = {
+  bold: 'STRONG',
+  italic: 'EM',
+  underline: 'U',
+  highlight: 'MARK'
+};
+
+const BLOCK_TAGS = ['DIV', 'P', 'H1', 'H2', 'H3', 'LI'];
+const LIST_TAGS = ['UL', 'OL'];
+
+const isElement = (node) => node && node.nodeType === Node.ELEMENT_NODE;
+
+// Closest ancestor of node (inclusive) inside root matching predicate.
+const closestWithin = (node, root, predicate) => {
+  for (let n = node; n && n !== root; n = n.parentNode) {
+    if (isElement(n) && predicate(n)) return n;
+  }
+  return null;
+};
+
+const currentRange = (root) => {
+  const selection = window.getSelection();
+  if (!selection.rangeCount) return null;
+  const range = selection.getRangeAt(0);
+  return root.contains(range.commonAncestorContainer) ? range : null;
+};
+
+const unwrap = (el) => {
+  const parent = el.parentNode;
+  while (el.firstChild) parent.insertBefore(el.firstChild, el);
+  parent.removeChild(el);
+};
+
+// Swaps an element's tag, keeping its children and inline style (alignment).
+const replaceTag = (el, tag) => {
+  const replacement = document.createElement(tag);
+  const style = el.getAttribute('style');
+  if (style) replacement.setAttribute('style', style);
+  while (el.firstChild) replacement.appendChild(el.firstChild);
+  el.replaceWith(replacement);
+  return replacement;
+};
+
+const isLineBoundary = (node) =>
+  node.nodeName === 'BR' || BLOCK_TAGS.includes(node.nodeName) || LIST_TAGS.includes(node.nodeName);
+
+/*
+  The block (line) the range starts in. contentEditable leaves the first line
+  as bare text directly in the editor, so such a run of inline nodes is
+  wrapped in a <div> first.
+*/
+const currentBlock = (root, range) => {
+  let node = range.startContainer;
+  if (node === root) {
+    // The caret sits between the editor's children rather than inside one.
+    node = root.childNodes[range.startOffset] || root.childNodes[range.startOffset - 1];
+    if (!node || node.nodeName === 'BR') {
+      const line = document.createElement('div');
+      line.appendChild(document.createElement('br'));
+      root.insertBefore(line, node && node.nextSibling);
+      if (node) node.remove();
+      return line;
+    }
+  }
+  const block = closestWithin(node, root, (n) => BLOCK_TAGS.includes(n.tagName));
+  if (block) return block;
+  let top = node;
+  while (top.parentNode !== root) top = top.parentNode;
+  let start = top;
+  while (start.previousSibling && !isLineBoundary(start.previousSibling)) start = start.previousSibling;
+  let end = top;
+  while (end.nextSibling && !isLineBoundary(end.nextSibling)) end = end.nextSibling;
+  const trailingBreak = end.nextSibling && end.nextSibling.nodeName === 'BR' ? end.nextSibling : null;
+
+  const line = document.createElement('div');
+  root.insertBefore(line, start);
+  for (let n = start; n; ) {
+    const next = n.nextSibling;
+    line.appendChild(n);
+    if (n === end) break;
+    n = next;
+  }
+  // The <div> now ends the line, so the <br> would add an empty one.
+  if (trailingBreak) trailingBreak.remove();
+  return line;
+};
+
+// Runs a structural change while keeping the caret at the same text position.
+const keepingCaret = (root, change) => {
+  const offset = getCaretOffset(root);
+  change();
+  if (offset !== null) setCaretOffset(root, offset);
+};
+
+/**
+ * Toggles bold/italic/underline/highlight on the selection. Toggling off
+ * removes the whole formatted element the selection sits in.
+ * @returns {boolean} Whether the page changed.
+ */
+export function toggleInline(root, format) {
+  const tag = INLINE_FORMATS[format];
+  const range = currentRange(root);
+  if (!tag || !range) return false;
+
+  const existing = closestWithin(range.commonAncestorContainer, root, (n) => n.tagName === tag);
+  if (existing) {
+    keepingCaret(root, () => unwrap(existing));
+    return true;
+  }
+  if (range.collapsed) return false;
+
+  const wrapper = document.createElement(tag.toLowerCase());
+  wrapper.appendChild(range.extractContents());
+  wrapper.querySelectorAll(tag).forEach(unwrap);
+  range.insertNode(wrapper);
+
+  const selection = window.getSelection();
+  const selected = document.createRange();
+  selected.selectNodeContents(wrapper);
+  selection.removeAllRanges();
+  selection.addRange(selected);
+  return true;
+}
+
+/**
+ * Turns the current line into a heading ("h1"–"h3"), or back into a plain line
+ * when it already is one.
+ */
+export function toggleHeading(root, tag) {
+  const range = currentRange(root);
+  if (!range) return false;
+  keepingCaret(root, () => {
+    const block = currentBlock(root, range);
+    if (block.tagName === 'LI') return;
+    replaceTag(block, block.tagName === tag.toUpperCase() ? 'div' : tag);
+  });
+  return true;
+}
+
+/**
+ * Puts the current line in a bulleted ("ul") or numbered ("ol") list, switches
+ * the list type, or turns the list back into plain lines.
+ */
+export function toggleList(root, type) {
+  const range = currentRange(root);
+  if (!range) return false;
+  const listTag = type.toUpperCase();
+  keepingCaret(root, () => {
+    const block = currentBlock(root, range);
+    if (block.tagName === 'LI') {
+      const list = block.parentNode;
+      if (list.tagName === listTag) {
+        [...list.children].forEach((item) => replaceTag(item, 'div'));
+        unwrap(list);
+      } else {
+        replaceTag(list, type);
+      }
+      return;
+    }
+    // Join a list directly above so consecutive lines form one list.
+    const previous = block.previousElementSibling;
+    const list = previous && previous.tagName === listTag ? previous : document.createElement(type);
+    if (list !== previous) block.before(list);
+    list.appendChild(replaceTag(block, 'li'));
+  });
+  return true;
+}
+
+/** Aligns the current line: "left", "center" or "right". */
+export function setAlignment(root, align) {
+  const range = currentRange(root);
+  if (!range) return false;
+  keepingCaret(root, () => {
+    const block = currentBlock(root, range);
+    block.style.textAlign = align === 'left' ? '' : align;
+    if (!block.getAttribute('style')) block.removeAttribute('style');
+  });
+  return true;
+}
+
+/**
+ * Formats active at the caret, for highlighting toolbar buttons.
+ * @returns {Set<string>} e.g. "bold", "h2", "ul", "align-center".
+ */
+export function activeFormats(root) {
+  const active = new Set();
+  const range = currentRange(root);
+  if (!range) return active;
+  const node = range.startContainer;
+  Object.entries(INLINE_FORMATS).forEach(([format, tag]) => {
+    if (closestWithin(node, root, (n) => n.tagName === tag)) active.add(format);
+  });
+  const block = closestWithin(node, root, (n) => BLOCK_TAGS.includes(n.tagName));
+  if (block) {
+    if (/^H[1-3]$/.test(block.tagName)) active.add(block.tagName.toLowerCase());
+    if (block.tagName === 'LI') active.add(block.parentNode.tagName.toLowerCase());
+    active.add(`align-${block.style.textAlign || 'left'}`);
+  }
+  return active;
+}
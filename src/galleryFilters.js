@@ -0,0 +1,107 @@
+// galleryFilters.js
+import { photoDay } from './photoLinks';
+
+/*
+  GALLERY ALBUMS, TAGS AND FILTERS
+  A photo belongs to at most one album (its album name) and has any number of
+  free-form tags. Albums aren't stored on their own: they are the album names
+  in use, each shown with its oldest photo as the cover.
+*/
+
+const byDate = (a, b) => (a.createdAt || '').localeCompare(b.createdAt || '');
+
+/** "paris, Trip ,,sunset" → ["paris", "trip", "sunset"] (lowercase, no duplicates). */
+export const parseTags = (text) => [
+  ...new Set(
+    (text || '')
+      .split(',')
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  )
+];
+
+/**
+ * Albums in use, alphabetically, with their cover photo and photo count.
+ * @param {import('./api').GalleryImage[]} images
+ * @returns {{name: string, cover: import('./api').GalleryImage, count: number}[]}
+ */
+export const albumsOf = (images) => {
+  const albums = new Map();
+  [...images].sort(byDate).forEach((image) => {
+    if (!image.album) return;
+    const album = albums.get(image.album);
+    if (album) album.count += 1;
+    else albums.set(image.album, { name: image.album, cover: image, count: 1 });
+  });
+  return [...albums.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const distinct = (values) => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+
+export const tagsOf = (images) => distinct(images.flatMap((image) => image.tags || []));
+
+export const uploadersOf = (images) => distinct(images.map((image) => image.uploadedBy));
+
+/**
+ * Photos matching every filter that is set. from and to ("YYYY-MM-DD") are
+ * compared with the photo's day (see photoLinks.js); undated photos only
+ * match without a date range.
+ * @param {{album?: string, tag?: string, uploader?: string, from?: string, to?: string}} filters
+ */
+export const filterImages = (images, { album, tag, uploader, from, to } = {}) =>
+  images.filter((image) => {
+    if (album && image.album !== album) return false;
+    if (tag && !(image.tags || []).includes(tag)) return false;
+    if (uploader && image.uploadedBy !== uploader) return false;
+    if (from || to) {
+      const day = photoDay(image);
+      if (!day || (from && day < from) || (to && day > to)) return false;
+    }
+    return true;
+  });
+
+/*
+  PAGES
+  The gallery is listed newest first, a page at a time. A page ends with a
+  cursor ("<createdAt>|<_id>" of its last photo) that the next page starts
+  after, so deleting or adding photos doesn't shift the pages still to come.
+  The API pages the same way; these run on the cached list when offline.
+*/
+const newestFirst = (a, b) => byDate(b, a) || b._id.localeCompare(a._id);
+
+const cursorOf = (image) => `${image.createdAt || ''}|${image._id}`;
+
+// The photo a cursor was made from, for comparing with the others.
+const cursorImage = (cursor) => {
+  const split = cursor.indexOf('|');
+  return { createdAt: cursor.slice(0, split), _id: cursor.slice(split + 1) };
+};
+
+/**
+ * One page of (already filtered) photos, newest first.
+ * @param {import('./api').GalleryImage[]} images
+ * @param {{cursor?: string, limit: number}} options
+ * @returns {import('./api').GalleryPage}
+ */
+export const pageImages = (images, { cursor, limit }) => {
+  const sorted = [...images].sort(newestFirst);
+  const after = cursor && cursorImage(cursor);
+  const start = after ? sorted.findIndex((image) => newestFirst(after, image) < 0) : 0;
+  const items = start === -1 ? [] : sorted.slice(start, start + limit);
+  const isLast = start === -1 || start + limit >= sorted.length;
+  return { items, nextCursor: isLast ? null : cursorOf(items[items.length - 1]), total: images.length };
+};
+
+/**
+ * Albums, tags and uploaders of the whole gallery, for the album covers and
+ * the filter bar.
+ * @param {import('./api').GalleryImage[]} images
+ * @returns {import('./api').GallerySummary}
+ */
+export const summarizeImages = (images) => ({
+  total: images.length,
+  newest: images.length ? [...images].sort(newestFirst)[0] : null,
+  albums: albumsOf(images),
+  tags: tagsOf(images),
+  uploaders: uploadersOf(images)
+});
@@ -0,0 +1,349 @@
+// ical.js
+import { calendar } from './api';
+import { createCalendarEvent, updateCalendarEvent } from './offlineSync';
+import { isRecurring } from './recurrence';
+import { EVENT_CATEGORIES, isAllDay } from './eventDetails';
+
+/*
+  ICALENDAR (.ics) IMPORT AND EXPORT
+  Maps VEVENTs to calendar events and back:
+    SUMMARY → title, DESCRIPTION → description, LOCATION → location,
+    CATEGORIES → category, DTSTART/DTEND → date, allDay, startTime, endTime,
+    RRULE (FREQ, INTERVAL, UNTIL, COUNT) → recurrence, EXDATE → exceptions.
+  Times are converted to the local time zone. Rule parts the calendar can't
+  express (BYDAY, BYMONTHDAY, …) are dropped, keeping the base frequency.
+  Every event keeps its UID (events created here get "<_id>@valentines-book"),
+  so importing a file again updates events instead of duplicating them.
+*/
+
+const UID_DOMAIN = 'valentines-book';
+const ALL_DATES = ['0000-01-01', '9999-12-31'];
+const FREQS = { YEARLY: 'yearly', MONTHLY: 'monthly', WEEKLY: 'weekly', DAILY: 'daily' };
+
+export const eventUid = (event) => event.uid || `${event._id}@${UID_DOMAIN}`;
+
+// Known category matching a CATEGORIES value (by value or label), or none.
+const toCategory = (value) => {
+  const name = value.split(',')[0].trim().toLowerCase();
+  const match = EVENT_CATEGORIES.find(
+    (category) => category.value && (category.value === name || category.label.toLowerCase() === name)
+  );
+  return match ? match.value : '';
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toTimeString = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+/* PARSING */
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Index of the colon ending a line's name and parameters. Parameter values
+// may be quoted and contain colons (e.g. TZID="GMT:+01"); the property value
+// after the colon is never looked at, so quotes in it don't matter.
+const valueColon = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) return i;
+  }
+  return line.length;
+};
+
+// Unfolds continuation lines and splits each into { name, params, value }.
+const parseLines = (text) =>
+  text
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      const colon = valueColon(line);
+      const [name, ...paramList] = line.slice(0, colon).split(';');
+      const params = Object.fromEntries(
+        paramList.map((param) => {
+          const [key, value = ''] = param.split('=');
+          return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+        })
+      );
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    });
+
+// Offset (ms) of a time zone from UTC at the given instant.
+const zoneOffset = (instant, timeZone) => {
+  const fields = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    })
+      .formatToParts(instant)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return asUtc - instant;
+};
+
+/*
+  Helper: Parse a DATE or DATE-TIME value into { date, time } in local time.
+  time is null for DATE values (all-day).
+*/
+const parseDateValue = ({ params, value }) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) throw new Error(`Unsupported date "${value}"`);
+  const [, year, month, day, hours, minutes, seconds = '0', utc] = match;
+  if (hours === undefined || params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}`, time: null };
+  }
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)];
+  let instant;
+  if (utc) {
+    instant = new Date(Date.UTC(...fields));
+  } else if (params.TZID) {
+    try {
+      const guess = Date.UTC(...fields);
+      instant = new Date(guess - zoneOffset(guess, params.TZID));
+      instant = new Date(guess - zoneOffset(instant.getTime(), params.TZID));
+    } catch {
+      instant = new Date(...fields); // unknown zone: read as local time
+    }
+  } else {
+    instant = new Date(...fields); // floating time
+  }
+  return { date: toDateString(instant), time: toTimeString(instant) };
+};
+
+// Adds months to a "YYYY-MM-DD" date, clamping to the month's last day like recurrence.js.
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+  return toDateString(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+};
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return toDateString(new Date(year, month - 1, day + days));
+};
+
+// Date of the last occurrence of a rule limited by COUNT.
+const untilFromCount = (start, freq, interval, count) => {
+  const steps = (count - 1) * interval;
+  if (freq === 'yearly') return addMonths(start, steps * 12);
+  if (freq === 'monthly') return addMonths(start, steps);
+  return addDays(start, freq === 'weekly' ? steps * 7 : steps);
+};
+
+const parseRule = (value, start) => {
+  const parts = Object.fromEntries(value.split(';').map((part) => part.split('=')));
+  const freq = FREQS[parts.FREQ];
+  if (!freq) return null;
+  const interval = Math.max(1, Number(parts.INTERVAL) || 1);
+  let until;
+  if (parts.UNTIL) until = parseDateValue({ params: {}, value: parts.UNTIL }).date;
+  else if (parts.COUNT) until = untilFromCount(start, freq, interval, Number(parts.COUNT));
+  return { freq, interval, ...(until ? { until } : {}) };
+};
+
+/**
+ * Parses the VEVENTs of an .ics file. Occurrences moved or edited on their
+ * own (RECURRENCE-ID) become one-off events and exceptions of their series.
+ * @param {string} text
+ * @returns {Object[]} Events (without _id) that carry their uid.
+ */
+export function parseIcs(text) {
+  const events = [];
+  let current = null;
+  let nested = 0; // depth inside components of an event (VALARM), whose properties are skipped
+  parseLines(text).forEach((line) => {
+    const component = line.value.toUpperCase();
+    if (line.name === 'BEGIN' && component === 'VEVENT') {
+      current = { props: {}, exdates: [] };
+      nested = 0;
+    } else if (line.name === 'END' && component === 'VEVENT') {
+      if (current) events.push(current);
+      current = null;
+    } else if (current && (line.name === 'BEGIN' || line.name === 'END')) {
+      nested += line.name === 'BEGIN' ? 1 : -1;
+    } else if (current && !nested && line.name === 'EXDATE') {
+      line.value.split(',').forEach((value) => current.exdates.push({ ...line, value }));
+    } else if (current && !nested && !current.props[line.name]) {
+      current.props[line.name] = line;
+    }
+  });
+
+  const parsed = events
+    .filter(({ props }) => props.DTSTART && props.STATUS?.value.toUpperCase() !== 'CANCELLED')
+    .map(({ props, exdates }) => {
+      const start = parseDateValue(props.DTSTART);
+      const end = props.DTEND ? parseDateValue(props.DTEND) : null;
+      const text = (name) => (props[name] ? unescapeText(props[name].value) : '');
+      const event = {
+        uid: text('UID'),
+        title: text('SUMMARY') || '(No title)',
+        description: text('DESCRIPTION'),
+        location: text('LOCATION'),
+        category: toCategory(text('CATEGORIES')),
+        date: start.date,
+        allDay: !start.time,
+        startTime: start.time || '',
+        endTime: start.time && end && end.time && end.date === start.date ? end.time : ''
+      };
+      if (props['RECURRENCE-ID']) {
+        const occurrence = parseDateValue(props['RECURRENCE-ID']).date;
+        return { ...event, uid: `${event.uid}#${occurrence}`, seriesUid: event.uid, occurrence };
+      }
+      const recurrence = props.RRULE && parseRule(props.RRULE.value, start.date);
+      if (recurrence) {
+        event.recurrence = recurrence;
+        event.exceptions = exdates.map((exdate) => parseDateValue(exdate).date);
+      }
+      return event;
+    });
+
+  // Moved occurrences are exceptions of their series.
+  parsed
+    .filter((event) => event.seriesUid)
+    .forEach((occurrence) => {
+      const series = parsed.find((event) => event.uid === occurrence.seriesUid && event.recurrence);
+      if (series && !series.exceptions.includes(occurrence.occurrence)) {
+        series.exceptions.push(occurrence.occurrence);
+      }
+      delete occurrence.seriesUid;
+      delete occurrence.occurrence;
+    });
+  return parsed;
+}
+
+/* SERIALIZING */
+
+const escapeText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Folds lines longer than 75 octets, as RFC 5545 requires.
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = new TextEncoder().encode(char).length;
+    if (size + charSize > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+const compactDate = (date) => date.replace(/-/g, '');
+const compactDateTime = (date, time) => `${compactDate(date)}T${time.replace(':', '')}00`;
+
+const dateProperty = (name, event, date, time) =>
+  isAllDay(event) ? `${name};VALUE=DATE:${compactDate(date)}` : `${name}:${compactDateTime(date, time)}`;
+
+const toVEvent = (event, stamp) => {
+  const lines = ['BEGIN:VEVENT', `UID:${escapeText(eventUid(event))}`, `DTSTAMP:${stamp}`];
+  lines.push(dateProperty('DTSTART', event, event.date, event.startTime));
+  if (isAllDay(event)) lines.push(`DTEND;VALUE=DATE:${compactDate(addDays(event.date, 1))}`);
+  else if (event.endTime) lines.push(dateProperty('DTEND', event, event.date, event.endTime));
+  lines.push(`SUMMARY:${escapeText(event.title || '')}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.category) lines.push(`CATEGORIES:${escapeText(event.category.toUpperCase())}`);
+  if (isRecurring(event)) {
+    const { freq, interval, until } = event.recurrence;
+    const rule = [`FREQ=${freq.toUpperCase()}`];
+    if (interval > 1) rule.push(`INTERVAL=${interval}`);
+    // UNTIL has the same value type as DTSTART.
+    if (until) rule.push(`UNTIL=${isAllDay(event) ? compactDate(until) : compactDateTime(until, '23:59')}`);
+    lines.push(`RRULE:${rule.join(';')}`);
+    (event.exceptions || []).forEach((date) => lines.push(dateProperty('EXDATE', event, date, event.startTime)));
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Serializes events (series unexpanded) into an .ics calendar.
+ * @param {import('./api').CalendarEvent[]} events
+ * @returns {string}
+ */
+export function toIcs(events) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Calendar//EN`,
+    'CALSCALE:GREGORIAN',
+    ...events.flatMap((event) => toVEvent(event, stamp)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/* IMPORT / EXPORT */
+
+/**
+ * Events between two dates (inclusive) as an .ics file, with every series
+ * that has occurrences in the range.
+ * @returns {Promise<Blob>}
+ */
+export async function exportCalendarRange(from, to) {
+  const [events, series] = await Promise.all([calendar.range(from, to), calendar.listRecurring()]);
+  const overlapping = series.filter(
+    (event) => event.date <= to && (!event.recurrence.until || event.recurrence.until >= from)
+  );
+  const ids = new Set(overlapping.map((event) => event._id));
+  const all = [...events.filter((event) => !ids.has(event._id)), ...overlapping];
+  return new Blob([toIcs(all)], { type: 'text/calendar' });
+}
+
+// The fields an import can change, normalized so that missing and empty values match.
+const comparable = (event) =>
+  JSON.stringify([
+    ...['title', 'description', 'location', 'category', 'date'].map((field) => event[field] || ''),
+    isAllDay(event),
+    isAllDay(event) ? '' : event.startTime,
+    isAllDay(event) ? '' : event.endTime || '',
+    isRecurring(event)
+      ? [event.recurrence.freq, Number(event.recurrence.interval) || 1, event.recurrence.until || '']
+      : null,
+    isRecurring(event) ? [...(event.exceptions || [])].sort() : []
+  ]);
+
+/**
+ * Imports an .ics file. Events whose UID is already in the calendar are
+ * updated when they changed; the rest are created.
+ * @param {string} text
+ * @returns {Promise<{created: number, updated: number, unchanged: number}>}
+ */
+export async function importIcs(text) {
+  const imported = parseIcs(text);
+  const existing = await calendar.range(...ALL_DATES);
+  const byUid = new Map(existing.map((event) => [eventUid(event), event]));
+  const result = { created: 0, updated: 0, unchanged: 0 };
+  for (const event of imported) {
+    const match = event.uid && byUid.get(event.uid);
+    if (!match) {
+      await createCalendarEvent(event);
+      result.created += 1;
+    } else if (comparable(match) !== comparable(event)) {
+      await updateCalendarEvent(match._id, { recurrence: null, exceptions: [], ...event });
+      result.updated += 1;
+    } else {
+      result.unchanged += 1;
+    }
+  }
+  return result;
+}
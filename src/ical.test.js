@@ -0,0 +1,135 @@
+// ical.test.js
+import { describe, it, expect } from 'vitest';
+import { parseIcs, toIcs, eventUid } from './ical';
+
+// Wraps VEVENT lines in a calendar, with the CRLF line ends of real files.
+const calendarOf = (...lines) =>
+  ['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:1@test', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n');
+
+describe('parseIcs', () => {
+  describe('property lines', () => {
+    it('keeps values with an odd number of quotes', () => {
+      const [event] = parseIcs(
+        calendarOf('DTSTART;VALUE=DATE:20250214', 'SUMMARY:5" TV', 'DESCRIPTION:Bring the "big one')
+      );
+      expect(event.title).toBe('5" TV');
+      expect(event.description).toBe('Bring the "big one');
+    });
+
+    it('finds the value after quoted parameters containing colons', () => {
+      const [event] = parseIcs(
+        calendarOf('DTSTART;VALUE=DATE:20250214', 'SUMMARY;ALTREP="http://example.com/a:b":Dinner: 8 "ish"')
+      );
+      expect(event.title).toBe('Dinner: 8 "ish"');
+    });
+  });
+
+  describe('rules', () => {
+    it('reads RRULE, COUNT and EXDATE', () => {
+      const [event] = parseIcs(
+        calendarOf(
+          'DTSTART;VALUE=DATE:20250131',
+          'SUMMARY:Rent',
+          'RRULE:FREQ=MONTHLY;COUNT=3;BYMONTHDAY=31',
+          'EXDATE;VALUE=DATE:20250228,20250331'
+        )
+      );
+      expect(event.recurrence).toEqual({ freq: 'monthly', interval: 1, until: '2025-03-31' });
+      expect(event.exceptions).toEqual(['2025-02-28', '2025-03-31']);
+    });
+
+    it('turns a moved occurrence into an exception of its series', () => {
+      const text = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:1@test',
+        'DTSTART;VALUE=DATE:20250106',
+        'SUMMARY:Run',
+        'RRULE:FREQ=WEEKLY',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:1@test',
+        'RECURRENCE-ID;VALUE=DATE:20250113',
+        'DTSTART;VALUE=DATE:20250114',
+        'SUMMARY:Run',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+      const [series, moved] = parseIcs(text);
+      expect(series.exceptions).toEqual(['2025-01-13']);
+      expect(moved).toMatchObject({ uid: '1@test#2025-01-13', date: '2025-01-14' });
+      expect(moved.recurrence).toBeUndefined();
+    });
+  });
+});
+
+describe('toIcs → parseIcs', () => {
+  const events = [
+    {
+      _id: 'a1',
+      title: 'Anniversary; dinner, then dancing',
+      description: 'Table for two\nAsk for the window seat \\ bring flowers 💐',
+      location: 'Café Rouge, Paris',
+      category: '',
+      date: '2025-02-14',
+      allDay: true,
+      recurrence: { freq: 'yearly', interval: 1 },
+      exceptions: ['2026-02-14']
+    },
+    {
+      _id: 'b2',
+      title: 'Movie',
+      description: 'A long description that goes on and on so that its line has to be folded, ' + 'é'.repeat(60),
+      location: '',
+      category: '',
+      date: '2025-03-01',
+      allDay: false,
+      startTime: '19:30',
+      endTime: '22:00',
+      recurrence: { freq: 'weekly', interval: 2, until: '2025-05-01' },
+      exceptions: ['2025-03-15']
+    },
+    {
+      _id: 'c3',
+      title: 'Picnic',
+      description: '',
+      location: '',
+      category: '',
+      date: '2025-06-21',
+      allDay: false,
+      startTime: '12:00',
+      endTime: ''
+    }
+  ];
+  const text = toIcs(events);
+
+  it('folds lines longer than 75 octets', () => {
+    const lines = text.split('\r\n');
+    lines.forEach((line) => expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75));
+    expect(lines.some((line) => line.startsWith(' '))).toBe(true);
+  });
+
+  it('keeps every field', () => {
+    const parsed = parseIcs(text);
+    expect(parsed).toHaveLength(events.length);
+    parsed.forEach((event, i) => {
+      const original = events[i];
+      expect(event).toMatchObject({
+        uid: eventUid(original),
+        title: original.title,
+        description: original.description,
+        location: original.location,
+        date: original.date,
+        allDay: original.allDay,
+        startTime: original.startTime || '',
+        endTime: original.endTime || ''
+      });
+      if (original.recurrence) {
+        expect(event.recurrence).toEqual(original.recurrence);
+        expect(event.exceptions).toEqual(original.exceptions);
+      } else {
+        expect(event.recurrence).toBeUndefined();
+      }
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// imageResize.js
+/*
+  PHOTO PREPARATION BEFORE UPLOAD
+  Phone photos are decoded with their EXIF orientation applied, scaled down
+  so their longer side is at most MAX_IMAGE_SIZE pixels and re-encoded, which
+  also drops the EXIF data (location included) from what gets uploaded. A
+  THUMBNAIL_SIZE copy is made for the gallery grid. The limit can be changed
+  with VITE_MAX_IMAGE_SIZE.
+
+  PNGs stay PNGs (they may be transparent); everything else becomes a JPEG.
+  GIFs are uploaded untouched so animations survive; only their thumbnail is
+  generated.
+*/
+
+export const MAX_IMAGE_SIZE = Number(import.meta.env.VITE_MAX_IMAGE_SIZE) || 2048;
+export const THUMBNAIL_SIZE = 400;
+const JPEG_QUALITY = 0.85;
+const THUMBNAIL_QUALITY = 0.75;
+
+// Decoded image with EXIF orientation applied. Browsers that ignore the
+// createImageBitmap options fall back to an <img>, which is oriented by default.
+const decode = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // fall through to <img>
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const sizeOf = (image) => ({
+  width: image.naturalWidth || image.width,
+  height: image.naturalHeight || image.height
+});
+
+const toBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, quality)
+  );
+
+// The image scaled so its longer side is at most maxSize, encoded as type.
+const render = (image, maxSize, type, quality) => {
+  const { width, height } = sizeOf(image);
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEGs have no transparency; transparent pixels would turn black.
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return toBlob(canvas, type, quality);
+};
+
+// "IMG_0042.HEIC" → "IMG_0042.jpg"
+const renamed = (name, type) => `${(name || 'photo').replace(/\.[^.]*$/, '')}.${type === 'image/png' ? 'png' : 'jpg'}`;
+
+// Runs task with the decoded image and the type to encode it as.
+const withDecoded = async (file, task) => {
+  let image;
+  try {
+    image = await decode(file);
+  } catch (err) {
+    throw new Error(`"${file.name}" is not an image this browser can read.`, { cause: err });
+  }
+  try {
+    return await task(image, file.type === 'image/png' ? 'image/png' : 'image/jpeg');
+  } finally {
+    if (image.close) image.close();
+  }
+};
+
+const thumbnailOf = async (image, file, type, size) =>
+  new File([await render(image, size, type, THUMBNAIL_QUALITY)], `thumb-${renamed(file.name, type)}`, { type });
+
+/**
+ * Scales a photo down for upload and makes its thumbnail.
+ * @param {File} file
+ * @param {{maxSize?: number, thumbnailSize?: number}} [options]
+ * @returns {Promise<{image: File, thumbnail: File}>}
+ */
+export const prepareImage = (file, { maxSize = MAX_IMAGE_SIZE, thumbnailSize = THUMBNAIL_SIZE } = {}) =>
+  withDecoded(file, async (image, type) => ({
+    image:
+      file.type === 'image/gif'
+        ? file
+        : new File([await render(image, maxSize, type, JPEG_QUALITY)], renamed(file.name, type), { type }),
+    thumbnail: await thumbnailOf(image, file, type, thumbnailSize)
+  }));
+
+/**
+ * Only the thumbnail of an image that is uploaded as it is (e.g. from a backup).
+ * @param {File} file
+ * @returns {Promise<File>}
+ */
+export const createThumbnail = (file, size = THUMBNAIL_SIZE) =>
+  withDecoded(file, (image, type) => thumbnailOf(image, file, type, size));
@@ -0,0 +1,84 @@
+// journalChannel.js
+import { journal } from './api';
+import { loadJournalPage, mergeRemoteJournalPage } from './offlineSync';
+import { onSessionChange } from './session';
+
+/*
+  LIVE JOURNAL UPDATES
+  Subscribes to the server-sent event stream for one date; the server pushes a
+  "journal" event ({ date, content, revision, author }) every time the page is
+  saved. Updates are merged into the local copy by offlineSync, which notifies
+  the editor through onJournalPageChange.
+  While the stream is unavailable (no EventSource, server without the stream
+  endpoint, connection dropped) the page is polled instead, and polling stops
+  again as soon as the stream reconnects.
+  EventSource can't send headers, so the JWT travels in the stream URL. A
+  dropped stream is therefore reopened by hand with a freshly built URL
+  (EventSource would retry with the old, possibly expired token), and so is a
+  stream whose token was replaced by another tab.
+*/
+const POLL_INTERVAL = 2000;
+const RECONNECT_DELAY = 5000;
+
+/**
+ * @param {string} date "YYYY-MM-DD"
+ * @returns {() => void} Unsubscribe function.
+ */
+export function subscribeToJournal(date) {
+  let source = null;
+  let pollTimer = null;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const startPolling = () => {
+    if (pollTimer || closed) return;
+    pollTimer = setInterval(() => {
+      loadJournalPage(date).catch((err) => console.error('Error polling journal entry:', err));
+    }, POLL_INTERVAL);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const connect = () => {
+    clearTimeout(reconnectTimer);
+    if (source) source.close();
+    const stream = new EventSource(journal.streamUrl(date));
+    source = stream;
+    stream.addEventListener('open', stopPolling);
+    stream.addEventListener('journal', (e) => {
+      const update = JSON.parse(e.data);
+      if (update.date !== date) return;
+      mergeRemoteJournalPage(date, update).catch((err) =>
+        console.error('Error merging pushed journal entry:', err)
+      );
+    });
+    stream.addEventListener('error', () => {
+      if (stream !== source) return;
+      stream.close();
+      source = null;
+      startPolling();
+      if (!closed) reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+    });
+  };
+
+  let unsubscribeSession = () => {};
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+  } else {
+    connect();
+    unsubscribeSession = onSessionChange((token) => {
+      if (token && !closed) connect();
+    });
+  }
+
+  return () => {
+    closed = true;
+    stopPolling();
+    clearTimeout(reconnectTimer);
+    unsubscribeSession();
+    if (source) source.close();
+  };
+}
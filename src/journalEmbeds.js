@@ -0,0 +1,84 @@
+// journalEmbeds.js
+/*
+  PHOTOS AND STICKERS ON JOURNAL PAGES
+  Scrapbook items are <img data-embed="photo|sticker"> elements stored in the
+  page HTML itself, so they are saved, merged and restored with the text. They
+  float over the page (position: absolute, see App.css) at
+    left: x%; top: y%; width: w%; transform: rotate(r deg)
+  relative to the page box, which keeps them in place on any screen width.
+  Stickers are SVG files in public/stickers, referenced by name only.
+*/
+
+export const STICKERS = [
+  { name: 'heart', label: 'Heart' },
+  { name: 'hearts', label: 'Two hearts' },
+  { name: 'star', label: 'Star' },
+  { name: 'flower', label: 'Flower' },
+  { name: 'sparkle', label: 'Sparkles' },
+  { name: 'smiley', label: 'Smiley' },
+  { name: 'arrow', label: 'Doodled arrow' },
+  { name: 'squiggle', label: 'Squiggle' }
+];
+
+export const stickerUrl = (name) => `/stickers/${name}.svg`;
+
+export const isSticker = (name) => STICKERS.some((sticker) => sticker.name === name);
+
+// Where a new item lands and how big it starts, in % of the page.
+const DEFAULT_LAYOUT = {
+  photo: { left: 30, top: 15, width: 40, rotation: 0 },
+  sticker: { left: 44, top: 30, width: 12, rotation: 0 }
+};
+export const MIN_EMBED_WIDTH = 5;
+
+/** Position, size and rotation of an embed, as numbers. */
+export const embedLayout = (img) => ({
+  left: parseFloat(img.style.left) || 0,
+  top: parseFloat(img.style.top) || 0,
+  width: parseFloat(img.style.width) || (DEFAULT_LAYOUT[img.dataset.embed] || DEFAULT_LAYOUT.photo).width,
+  rotation: parseFloat((img.style.transform.match(/rotate\((-?[\d.]+)deg\)/) || [])[1]) || 0
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+export const setEmbedLayout = (img, { left, top, width, rotation }) => {
+  img.style.left = `${round(left)}%`;
+  img.style.top = `${round(top)}%`;
+  img.style.width = `${round(Math.min(100, Math.max(MIN_EMBED_WIDTH, width)))}%`;
+  img.style.transform = rotation ? `rotate(${round(rotation)}deg)` : '';
+};
+
+/**
+ * A new page item, laid out a little lower for every item already on the page.
+ * @param {{photo?: import('./api').GalleryImage, sticker?: string}} item
+ * @param {number} existing Items already on the page.
+ */
+export const createEmbed = ({ photo, sticker }, existing = 0) => {
+  const img = document.createElement('img');
+  const kind = photo ? 'photo' : 'sticker';
+  img.dataset.embed = kind;
+  if (photo) {
+    img.dataset.photoId = photo._id;
+    img.src = photo.url;
+    img.alt = photo.description || 'Photo';
+  } else {
+    img.dataset.sticker = sticker;
+    img.src = stickerUrl(sticker);
+    img.alt = '';
+  }
+  const layout = DEFAULT_LAYOUT[kind];
+  setEmbedLayout(img, { ...layout, top: (layout.top + existing * 5) % 80 });
+  return img;
+};
+
+export const embedsIn = (root) => [...root.querySelectorAll('img[data-embed]')];
+
+/**
+ * The page's photos and stickers from top to bottom, for the PDF export.
+ * @param {string} html Sanitized page HTML.
+ * @returns {{src: string, alt: string, left: number, top: number, width: number, rotation: number}[]}
+ */
+export const pageEmbeds = (html) =>
+  embedsIn(new DOMParser().parseFromString(html, 'text/html').body)
+    .map((img) => ({ src: img.getAttribute('src'), alt: img.alt, ...embedLayout(img) }))
+    .sort((a, b) => a.top - b.top || a.left - b.left);
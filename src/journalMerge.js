@@ -0,0 +1,178 @@
+// journalMerge.js
+/*
+  THREE-WAY MERGE FOR JOURNAL PAGES
+  Both people edit the same HTML page. Given the version both edits started
+  from (base), our version (local) and theirs (remote), mergeJournalHtml keeps
+  every insertion from both sides and applies every deletion from either side.
+
+  Pages are compared as token lists where each tag (including the
+  <span data-user="..."> wrappers created while typing) is a single token and
+  text is split into characters, so author attribution travels with the text
+  it wraps. Insertions made by both sides at the same spot are kept in
+  local-then-remote order.
+*/
+
+// Tags, entities and single characters (code points).
+const TOKEN_PATTERN = /<[^>]*>|&[#a-zA-Z0-9]+;|[\s\S]/gu;
+
+export const tokenizeHtml = (html) => html.match(TOKEN_PATTERN) || [];
+
+/*
+  Myers O((N+M)D) diff, in its linear-space form: the middle snake of the
+  shortest edit script splits the problem in two halves, so only two V
+  arrays of N+M entries are ever kept. Returns the edit script as a list of
+  ['=', aIndex, bIndex] | ['-', aIndex] | ['+', bIndex] operations.
+*/
+export function diffTokens(a, b) {
+  const offset = a.length + b.length + 1;
+  const forward = new Int32Array(2 * offset + 1);
+  const backward = new Int32Array(2 * offset + 1);
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, { forward, backward, offset }, ops);
+  return ops;
+}
+
+// Appends the edit script of a[aLo, aHi) against b[bLo, bHi) to ops.
+function diffRange(a, aLo, aHi, b, bLo, bHi, v, ops) {
+  // Common prefix/suffix are cheap to strip and keep the search space small.
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) ops.push(['=', aLo++, bLo++]);
+  let suffix = 0;
+  while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) suffix++;
+  aHi -= suffix;
+  bHi -= suffix;
+
+  // With one side used up the rest is all inserts or all deletes.
+  if (aLo === aHi) {
+    for (let j = bLo; j < bHi; j++) ops.push(['+', j]);
+  } else if (bLo === bHi) {
+    for (let i = aLo; i < aHi; i++) ops.push(['-', i]);
+  } else {
+    const [x, y, u, w] = middleSnake(a, aLo, aHi, b, bLo, bHi, v);
+    diffRange(a, aLo, aLo + x, b, bLo, bLo + y, v, ops);
+    for (let i = x; i < u; i++) ops.push(['=', aLo + i, bLo + y + i - x]);
+    diffRange(a, aLo + u, aHi, b, bLo + w, bHi, v, ops);
+  }
+  for (let i = 0; i < suffix; i++) ops.push(['=', aHi + i, bHi + i]);
+}
+
+/*
+  Searches forward from the start and backward from the end of the range at
+  the same time, until the paths on a diagonal meet. Returns the start and end
+  [x, y, u, w] of the snake (diagonal run) where they do, relative to aLo/bLo.
+  Backward paths count x and y from the end, on diagonals c = delta - k.
+*/
+function middleSnake(a, aLo, aHi, b, bLo, bHi, { forward, backward, offset }) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  for (let d = 0; d <= Math.ceil((n + m) / 2); d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      const c = delta - k;
+      if (odd && c >= 1 - d && c <= d - 1 && x + backward[offset + c] >= n) {
+        return [startX, startY, x, y];
+      }
+    }
+    for (let c = -d; c <= d; c += 2) {
+      let x = c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1])
+        ? backward[offset + c + 1]
+        : backward[offset + c - 1] + 1;
+      let y = x - c;
+      const startX = x;
+      const startY = y;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[offset + c] = x;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) {
+        return [n - x, m - y, n - startX, m - startY];
+      }
+    }
+  }
+  throw new Error('No middle snake found');
+}
+
+// For every base token: was it deleted, and what was inserted before it?
+// inserts[base.length] holds what was appended at the end.
+function changesFrom(base, other) {
+  const deleted = new Array(base.length).fill(false);
+  const inserts = Array.from({ length: base.length + 1 }, () => []);
+  let gap = 0;
+  for (const [type, i] of diffTokens(base, other)) {
+    if (type === '=') {
+      gap = i + 1;
+    } else if (type === '-') {
+      deleted[i] = true;
+      gap = i + 1;
+    } else {
+      inserts[gap].push(other[i]);
+    }
+  }
+  return { deleted, inserts };
+}
+
+const sameTokens = (a, b) => a.length === b.length && a.every((token, i) => token === b[i]);
+
+// Re-serializes through the DOM so a merge that split a tag pair still yields well-formed HTML.
+const normalizeHtml = (html) => {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.innerHTML;
+};
+
+/**
+ * @param {string} base   Version both sides started from.
+ * @param {string} local  Our edited version.
+ * @param {string} remote Their edited version.
+ * @returns {string} Merged HTML.
+ */
+export function mergeJournalHtml(base, local, remote) {
+  if (local === remote || remote === base) return local;
+  if (local === base) return remote;
+
+  const baseTokens = tokenizeHtml(base);
+  const ours = changesFrom(baseTokens, tokenizeHtml(local));
+  const theirs = changesFrom(baseTokens, tokenizeHtml(remote));
+
+  const merged = [];
+  for (let i = 0; i <= baseTokens.length; i++) {
+    merged.push(...ours.inserts[i]);
+    if (!sameTokens(ours.inserts[i], theirs.inserts[i])) {
+      merged.push(...theirs.inserts[i]);
+    }
+    if (i < baseTokens.length && !ours.deleted[i] && !theirs.deleted[i]) {
+      merged.push(baseTokens[i]);
+    }
+  }
+  return normalizeHtml(merged.join(''));
+}
+
+/**
+ * Maps a character offset in oldText to the matching offset in newText, so
+ * the caret stays next to the same character after a merge.
+ */
+export function mapTextOffset(oldText, newText, offset) {
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (const [type] of diffTokens(oldText.split(''), newText.split(''))) {
+    if (oldIndex >= offset && type !== '-') break;
+    if (type !== '+') oldIndex++;
+    if (type !== '-') newIndex++;
+  }
+  return newIndex;
+}
@@ -0,0 +1,124 @@
+// journalMerge.test.js
+import { describe, it, expect } from 'vitest';
+import { diffTokens, mergeJournalHtml, mapTextOffset, tokenizeHtml } from './journalMerge';
+
+// How the editor serializes HTML, to compare merges with expected pages.
+const normalized = (html) => {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  return template.innerHTML;
+};
+
+// Rebuilds both sides from an edit script, checking it along the way.
+const applyScript = (a, b, ops) => {
+  const fromA = [];
+  const fromB = [];
+  ops.forEach(([type, i, j]) => {
+    if (type === '=') {
+      expect(a[i]).toBe(b[j]);
+      fromA.push(a[i]);
+      fromB.push(b[j]);
+    } else if (type === '-') fromA.push(a[i]);
+    else fromB.push(b[i]);
+  });
+  return [fromA, fromB];
+};
+
+// Length of the longest common subsequence, the quadratic way.
+const lcsLength = (a, b) => {
+  let row = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [0];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = a[i - 1] === b[j - 1] ? row[j - 1] + 1 : Math.max(row[j], next[j - 1]);
+    }
+    row = next;
+  }
+  return row[b.length];
+};
+
+// Deterministic pseudo-random strings over a small alphabet (many matches).
+const randomStrings = (count) => {
+  let seed = 42;
+  const next = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+  const word = () => Array.from({ length: Math.floor(next() * 30) }, () => 'abc'[Math.floor(next() * 3)]).join('');
+  return Array.from({ length: count }, () => [word(), word()]);
+};
+
+describe('diffTokens', () => {
+  it('returns a shortest edit script', () => {
+    randomStrings(300).forEach(([x, y]) => {
+      const [a, b] = [x.split(''), y.split('')];
+      const ops = diffTokens(a, b);
+      expect(applyScript(a, b, ops)).toEqual([a, b]);
+      expect(ops.filter(([type]) => type === '=')).toHaveLength(lcsLength(a, b));
+    });
+  });
+
+  it('handles an empty side', () => {
+    expect(diffTokens([], ['x', 'y'])).toEqual([
+      ['+', 0],
+      ['+', 1]
+    ]);
+    expect(diffTokens(['x'], [])).toEqual([['-', 0]]);
+    expect(diffTokens([], [])).toEqual([]);
+  });
+
+  it('keeps tags whole', () => {
+    expect(tokenizeHtml('<span data-user="amy">hi</span>&amp;')).toEqual([
+      '<span data-user="amy">',
+      'h',
+      'i',
+      '</span>',
+      '&amp;'
+    ]);
+  });
+});
+
+describe('mergeJournalHtml', () => {
+  it('keeps concurrent inserts at different offsets', () => {
+    expect(mergeJournalHtml('<p>Hello world</p>', '<p>Hello dear world</p>', '<p>Hello world!</p>')).toBe(
+      normalized('<p>Hello dear world!</p>')
+    );
+  });
+
+  it('keeps inserts from both authors with their attribution', () => {
+    const merged = mergeJournalHtml(
+      '<p>hi</p>',
+      '<p><span data-user="amy">hey</span> hi</p>',
+      '<p>hi <span data-user="bob">you</span></p>'
+    );
+    expect(merged).toBe(normalized('<p><span data-user="amy">hey</span> hi <span data-user="bob">you</span></p>'));
+  });
+
+  it('adds the same insert made on both sides once', () => {
+    expect(mergeJournalHtml('<p>ab</p>', '<p>aXb</p>', '<p>aXbc</p>')).toBe(normalized('<p>aXbc</p>'));
+  });
+
+  it('keeps both sides of overlapping edits, ours first', () => {
+    expect(mergeJournalHtml('<p>cat</p>', '<p>cab</p>', '<p>car</p>')).toBe(normalized('<p>cabr</p>'));
+  });
+
+  it('applies a deletion and keeps text added inside the deleted part', () => {
+    const merged = mergeJournalHtml(
+      '<p>one</p><p>two</p>',
+      '<p>one</p>',
+      '<p>one</p><p>two <b>bold</b></p>'
+    );
+    expect(merged).toBe(normalized('<p>one</p> <b>bold</b>'));
+    expect(merged).not.toContain('two');
+  });
+
+  it('takes the only changed side as it is', () => {
+    expect(mergeJournalHtml('<p>a</p>', '<p>a</p>', '<p>b</p>')).toBe('<p>b</p>');
+    expect(mergeJournalHtml('<p>a</p>', '<p>b</p>', '<p>a</p>')).toBe('<p>b</p>');
+  });
+});
+
+describe('mapTextOffset', () => {
+  it('follows the character the caret was next to', () => {
+    expect(mapTextOffset('Hello world', 'Oh, Hello world', 5)).toBe(9);
+    expect(mapTextOffset('Hello world', 'Hello big world', 11)).toBe(15);
+    expect(mapTextOffset('Hello world', 'Hello world', 3)).toBe(3);
+  });
+});
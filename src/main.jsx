@@ -1,28 +1,83 @@
 // index.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import { Login, Register } from './Auth';
+import { getCurrentUser, clearSession, onUnauthorized } from './api';
+import { hasValidSession, keepSessionFresh, onSessionChange } from './session';
+import { flushQueue } from './offlineSync';
 import './index.css';
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, useNavigate } from 'react-router-dom';
+
+// Invite links (/register?invite=CODE) open straight on the register view.
+const initialView = () =>
+  window.location.pathname === '/register' || new URLSearchParams(window.location.search).has('invite')
+    ? 'register'
+    : 'login';
 
 function Root() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [view, setView] = useState('login'); // "login" or "register"
+  // The session ran out while the book was open (see below).
+  const [isExpired, setIsExpired] = useState(false);
+  const [currentUser, setCurrentUser] = useState(getCurrentUser);
+  const [view, setView] = useState(initialView); // "login" or "register"
+  const navigate = useNavigate();
 
   useEffect(() => {
-    // Check for token in localStorage
-    const token = localStorage.getItem('token');
-    setIsAuthenticated(!!token);
+    // Check for an unexpired token in localStorage
+    setIsAuthenticated(hasValidSession());
+  }, []);
+
+  const login = useCallback(() => {
+    setCurrentUser(getCurrentUser());
+    setIsAuthenticated(true);
+    setIsExpired(false);
   }, []);
 
-  const logout = () => {
+  const logout = useCallback(() => {
     // Remove the token and update state
-    localStorage.removeItem('token');
+    clearSession();
     setIsAuthenticated(false);
+    setIsExpired(false);
     // Optionally update the URL hash to show the login view
     window.location.hash = 'login';
-  };
+  }, []);
+
+  // Back in after an expiry (here or in another tab): send the edits that
+  // were kept in the sync queue meanwhile.
+  const resume = useCallback(() => {
+    login();
+    flushQueue();
+  }, [login]);
+
+  // An expired session keeps the book mounted under a login form, so the
+  // page being written stays as it is until the user logs back in.
+  const expire = useCallback(() => setIsExpired(true), []);
+
+  // A 401 on an authenticated request means the token is no longer accepted.
+  useEffect(() => onUnauthorized(expire), [expire]);
+
+  // Refresh the token before it expires while logged in.
+  useEffect(() => {
+    if (isAuthenticated && !isExpired) return keepSessionFresh(expire);
+  }, [isAuthenticated, isExpired, expire]);
+
+  // Follow logins, refreshes and logouts in other tabs. Only a tab whose
+  // session had expired replays its queue; a routine refresh elsewhere just
+  // hands this tab the new token (already in localStorage).
+  useEffect(
+    () =>
+      onSessionChange((token) => {
+        if (!token) {
+          setIsAuthenticated(false);
+          setIsExpired(false);
+        } else if (hasValidSession()) {
+          if (isExpired) resume();
+          else login();
+        }
+      }),
+    [isExpired, resume, login]
+  );
 
   // Use simple hash routing for demo purposes for login/register.
   useEffect(() => {
@@ -39,13 +94,31 @@ function Root() {
 
   if (!isAuthenticated) {
     if (view === 'register') {
-      return <Register onRegister={() => setIsAuthenticated(true)} />;
+      return (
+        <Register
+          onRegister={() => {
+            // Drop the used invite from the address bar.
+            navigate('/', { replace: true });
+            login();
+          }}
+        />
+      );
     }
-    return <Login onLogin={() => setIsAuthenticated(true)} />;
+    return <Login onLogin={login} />;
   }
 
-  // If authenticated, we render our App within our routes.
-  return <App onLogout={logout} />;
+  // If authenticated, we render our App within our routes (anew when another
+  // tab logged in as someone else).
+  return (
+    <>
+      <App key={currentUser} onLogout={logout} />
+      {isExpired && (
+        <div className="fixed inset-0 z-50 overflow-y-auto">
+          <Login expiredUser={currentUser} onLogin={resume} onLogout={logout} />
+        </div>
+      )}
+    </>
+  );
 }
 
 ReactDOM.createRoot(document.getElementById('root')).render(
@@ -59,6 +132,8 @@ ReactDOM.createRoot(document.getElementById('root')).render(
       <Route path="/register" element={<Root />} />
       <Route path="/journal/:date?" element={<Root />} />
       <Route path="/calendar/:date?" element={<Root />} />
+      <Route path="/gallery/:photoId?" element={<Root />} />
+      <Route path="/search" element={<Root />} />
       {/* Fallback route */}
       <Route path="/*" element={<Root />} />
     </Routes>
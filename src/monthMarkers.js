@@ -0,0 +1,56 @@
+// monthMarkers.js
+import { loadCalendarMonth, loadJournalRange, loadGalleryRange } from './offlineSync';
+import { monthBounds } from './recurrence';
+import { photoDay } from './photoLinks';
+
+/*
+  CALENDAR DAY MARKERS
+  What each day of a month has on it, for the dots under the calendar grid's
+  day numbers. Loaded once per visible month:
+    { "YYYY-MM-DD": { categories: [...], authors: [...], photos: n } }
+  categories are those of the day's events (one per event), authors the users
+  who wrote on the day's journal page ('' for text typed before authorship
+  was tracked).
+*/
+
+const markersFor = (markers, date) => {
+  if (!markers[date]) markers[date] = { categories: [], authors: [], photos: 0 };
+  return markers[date];
+};
+
+// Users with visible text on a page, in the order they first appear.
+const pageAuthors = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const authors = new Set();
+  const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!node.textContent.trim()) continue;
+    const span = node.parentElement.closest('span[data-user]');
+    authors.add(span ? span.getAttribute('data-user') : '');
+  }
+  return [...authors];
+};
+
+/**
+ * @param {string} month "YYYY-MM"
+ * @returns {Promise<Object<string, {categories: string[], authors: string[], photos: number}>>}
+ */
+export async function loadMonthMarkers(month) {
+  const [from, to] = monthBounds(month);
+  const [events, pages, photos] = await Promise.all([
+    loadCalendarMonth(month),
+    loadJournalRange(from, to),
+    loadGalleryRange(from, to)
+  ]);
+  const markers = {};
+  events.forEach((event) => markersFor(markers, event.date).categories.push(event.category || ''));
+  pages.forEach((page) => {
+    const authors = pageAuthors(page.content);
+    if (authors.length) markersFor(markers, page.date).authors = authors;
+  });
+  photos.forEach((photo) => {
+    markersFor(markers, photoDay(photo)).photos += 1;
+  });
+  return markers;
+}
@@ -0,0 +1,81 @@
+// offlineStore.js
+import { getCurrentUser } from './api';
+
+/*
+  Thin promise wrapper around IndexedDB.
+  Every account on the device gets its own database ("valentines-book:<user>"),
+  so one user's cached pages and queued writes are never replayed with
+  another user's token; they wait there until that user logs in again.
+  Object stores:
+    - journal:  journal pages keyed by date ({ date, content, synced }).
+    - calendar: cached event lists keyed by "day:YYYY-MM-DD" or "month:YYYY-MM".
+    - gallery:  metadata of every photo fetched so far, as one list keyed by
+                "all" (see offlineSync.js).
+    - queue:    pending writes, replayed in insertion (id) order.
+*/
+const DB_PREFIX = 'valentines-book';
+const DB_VERSION = 1;
+
+// The database of the user it was opened for, as { name, promise }.
+let opened = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const openDb = () => {
+  const name = `${DB_PREFIX}:${getCurrentUser() || ''}`;
+  if (!opened || opened.name !== name) {
+    // Another user logged in: let the previous database finish and close.
+    if (opened) opened.promise.then((db) => db.close(), () => {});
+    const current = { name };
+    current.promise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('journal')) {
+          db.createObjectStore('journal', { keyPath: 'date' });
+        }
+        if (!db.objectStoreNames.contains('calendar')) {
+          db.createObjectStore('calendar');
+        }
+        if (!db.objectStoreNames.contains('gallery')) {
+          db.createObjectStore('gallery');
+        }
+        if (!db.objectStoreNames.contains('queue')) {
+          db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        if (opened === current) opened = null;
+        reject(request.error);
+      };
+    });
+    opened = current;
+  }
+  return opened.promise;
+};
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+};
+
+export const getItem = (storeName, key) =>
+  withStore(storeName, 'readonly', (store) => store.get(key));
+
+export const getAllItems = (storeName) =>
+  withStore(storeName, 'readonly', (store) => store.getAll());
+
+// "key" is only needed for stores without a keyPath (calendar, gallery).
+export const putItem = (storeName, value, key) =>
+  withStore(storeName, 'readwrite', (store) =>
+    key === undefined ? store.put(value) : store.put(value, key)
+  );
+
+export const deleteItem = (storeName, key) =>
+  withStore(storeName, 'readwrite', (store) => store.delete(key));
@@ -0,0 +1,628 @@
+// offlineSync.js
+import { useEffect, useState } from 'react';
+import { isAxiosError } from 'axios';
+import { journal, calendar, gallery, search, getCurrentUser } from './api';
+import { getItem, getAllItems, putItem, deleteItem } from './offlineStore';
+import { mergeJournalHtml } from './journalMerge';
+import { sanitizeHtml } from './sanitizeHtml';
+import { htmlToText, queryTerms, matchesTerms } from './search';
+import { isRecurring, expandOccurrences, monthBounds } from './recurrence';
+import { compareEvents } from './eventDetails';
+import { filterImages, pageImages, summarizeImages } from './galleryFilters';
+
+/*
+  OFFLINE-FIRST DATA LAYER
+  Reads go to the API and are mirrored into IndexedDB; when the API can't be
+  reached the last cached copy is returned instead.
+  Writes are stored locally first and appended to a queue that is replayed in
+  order whenever we are (back) online.
+
+  Journal pages are records of { date, content, synced, base, baseRevision }:
+  "base" is the last server version (at "baseRevision") that "content" was
+  derived from. Saves send baseRevision; when the server answers 409 because
+  the other person saved first, their version is merged into ours
+  (see journalMerge.js) and the save is retried.
+*/
+
+// Replays one queued write against the API.
+const handlers = {
+  'journal.save': ({ date }) => replayJournalSave(date),
+  'calendar.create': (entry) => calendar.create(entry),
+  'calendar.update': ({ id, changes }) => calendar.update(id, changes),
+  'calendar.remove': ({ id }) => calendar.remove(id)
+};
+
+// Request errors worth retrying later: no response at all (offline, timeout),
+// an expired session, an unresolved conflict or a server-side failure. Other
+// 4xx responses and errors thrown by our own code are final.
+const isRetryable = (error) =>
+  isAxiosError(error) &&
+  (!error.response ||
+    error.response.status === 401 ||
+    error.response.status === 409 ||
+    error.response.status >= 500);
+
+/* PENDING STATE (dates whose journal page hasn't reached the server yet) */
+let pendingJournalDates = new Set();
+const listeners = new Set();
+
+const refreshPending = async () => {
+  const ops = await getAllItems('queue');
+  pendingJournalDates = new Set(
+    ops.filter((op) => op.type === 'journal.save').map((op) => op.payload.date)
+  );
+  listeners.forEach((listener) => listener(pendingJournalDates));
+};
+
+export const usePendingJournalDates = () => {
+  const [dates, setDates] = useState(pendingJournalDates);
+  useEffect(() => {
+    listeners.add(setDates);
+    refreshPending().catch((err) => console.error('Error reading sync queue:', err));
+    return () => listeners.delete(setDates);
+  }, []);
+  return dates;
+};
+
+/* JOURNAL RECORDS */
+// Every read-modify-write of a journal record runs through this chain so
+// merges never interleave.
+let journalLock = Promise.resolve();
+const withJournalLock = (fn) => {
+  const run = journalLock.then(fn);
+  journalLock = run.catch(() => {});
+  return run;
+};
+
+// Records written before merging existed have no base; an empty base keeps
+// both versions rather than dropping either.
+const baseOf = (record) => (record.base === undefined ? '' : record.base);
+
+// Listeners notified with (date, content) when a server change lands locally.
+const journalListeners = new Set();
+
+export const onJournalPageChange = (listener) => {
+  journalListeners.add(listener);
+  return () => journalListeners.delete(listener);
+};
+
+// Dates with a save in flight; server versions arriving meanwhile wait for it.
+const savingDates = new Set();
+const deferredEntries = new Map();
+
+// Folds a server version of a page into the local record. Must hold the lock.
+const applyServerEntry = async (date, entry) => {
+  const content = sanitizeHtml(entry.content);
+  const local = await getItem('journal', date);
+  if (local) {
+    const isStale =
+      content === baseOf(local) ||
+      (entry.revision !== undefined &&
+        local.baseRevision !== undefined &&
+        entry.revision <= local.baseRevision);
+    if (isStale) return local.content;
+  }
+  const merged = local && !local.synced
+    ? mergeJournalHtml(baseOf(local), local.content, content)
+    : content;
+  await putItem('journal', {
+    date,
+    content: merged,
+    synced: merged === content,
+    base: content,
+    baseRevision: entry.revision
+  });
+  if (!local || local.content !== merged) {
+    journalListeners.forEach((listener) => listener(date, merged));
+  }
+  return merged;
+};
+
+/**
+ * Merges a server version of a page (from a push, a poll or a fetch) into the
+ * local copy and returns the content the page should now show.
+ */
+export const mergeRemoteJournalPage = (date, entry) =>
+  withJournalLock(async () => {
+    if (savingDates.has(date)) {
+      deferredEntries.set(date, entry);
+      const local = await getItem('journal', date);
+      return local ? local.content : entry.content || '';
+    }
+    return applyServerEntry(date, entry);
+  });
+
+const MAX_CONFLICT_RETRIES = 3;
+
+const replayJournalSave = async (date) => {
+  savingDates.add(date);
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const local = await getItem('journal', date);
+      if (!local || local.synced) return;
+      try {
+        const entry = await journal.save(date, local.content, local.baseRevision);
+        await withJournalLock(async () => {
+          const latest = await getItem('journal', date);
+          // Anything typed while the request was in flight still needs a save.
+          await putItem('journal', {
+            ...latest,
+            synced: latest.content === local.content,
+            base: local.content,
+            baseRevision: entry.revision
+          });
+        });
+        return;
+      } catch (error) {
+        if (!error.response || error.response.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+        // The other person saved first: rebase our page on theirs and retry.
+        await withJournalLock(() => applyServerEntry(date, error.response.data));
+      }
+    }
+  } finally {
+    savingDates.delete(date);
+    const deferred = deferredEntries.get(date);
+    deferredEntries.delete(date);
+    if (deferred) await mergeRemoteJournalPage(date, deferred);
+  }
+};
+
+const markJournalSynced = (date) =>
+  withJournalLock(async () => {
+    const local = await getItem('journal', date);
+    if (local) await putItem('journal', { ...local, synced: true });
+  });
+
+/* QUEUE REPLAY */
+
+// A failed replay is tried again after RETRY_MIN_DELAY, doubling up to
+// RETRY_MAX_DELAY, even if no write or "online" event comes along.
+const RETRY_MIN_DELAY = 5 * 1000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+let retryDelay = RETRY_MIN_DELAY;
+let retryTimer = null;
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => flushQueue(), retryDelay);
+  retryDelay = Math.min(retryDelay * 2, RETRY_MAX_DELAY);
+};
+
+const replay = async () => {
+  if (!navigator.onLine) return;
+  // The queue belongs to the user logged in when the replay started (see
+  // offlineStore.js); stop if someone else logs in meanwhile.
+  const user = getCurrentUser();
+  for (;;) {
+    if (getCurrentUser() !== user) break;
+    const [op] = await getAllItems('queue');
+    if (!op) {
+      clearTimeout(retryTimer);
+      retryDelay = RETRY_MIN_DELAY;
+      break;
+    }
+    try {
+      await handlers[op.type](op.payload);
+    } catch (error) {
+      if (getCurrentUser() !== user) break;
+      // Keep the write and try again later.
+      if (isRetryable(error)) {
+        scheduleRetry();
+        break;
+      }
+      console.error(`Dropping queued ${op.type} that can't succeed:`, error);
+      if (op.type === 'journal.save') {
+        await markJournalSynced(op.payload.date);
+      }
+    }
+    if (getCurrentUser() !== user) break;
+    await deleteItem('queue', op.id);
+    await refreshPending();
+  }
+};
+
+// Every open tab replays the same queue (they all hear "online"); holding a
+// Web Lock while replaying keeps two tabs from sending the same write, which
+// would e.g. create a queued event twice. The lock is per user, like the queue.
+const withQueueLock = (run) =>
+  navigator.locks ? navigator.locks.request(`sync-queue:${getCurrentUser() || ''}`, run) : run();
+
+let flushing = null;
+let flushRequested = false;
+
+// Replays the queue; concurrent calls share one run (and re-run it once when a
+// write was queued while the previous pass was finishing).
+export const flushQueue = () => {
+  flushRequested = true;
+  if (!flushing) {
+    flushing = (async () => {
+      while (flushRequested) {
+        flushRequested = false;
+        await withQueueLock(replay);
+      }
+    })()
+      .catch((err) => console.error('Error replaying sync queue:', err))
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+};
+
+window.addEventListener('online', () => flushQueue());
+
+const enqueueWrite = async (type, payload) => {
+  if (type === 'journal.save') {
+    // The replay always sends the latest content, so one queued save per page is enough.
+    const ops = await getAllItems('queue');
+    await Promise.all(
+      ops
+        .filter((op) => op.type === type && op.payload.date === payload.date)
+        .map((op) => deleteItem('queue', op.id))
+    );
+  }
+  await putItem('queue', { type, payload, createdAt: Date.now() });
+  await refreshPending();
+  await flushQueue();
+};
+
+/* JOURNAL */
+export const loadJournalPage = async (date) => {
+  const local = await getItem('journal', date);
+  // Local edits that haven't synced yet are reconciled by the save replay.
+  if (local && !local.synced) return local.content;
+  try {
+    return await mergeRemoteJournalPage(date, await journal.get(date));
+  } catch (error) {
+    if (local && isRetryable(error)) return local.content;
+    throw error;
+  }
+};
+
+/**
+ * Stores an edit made in the editor and queues it for the server.
+ * @param {string} date
+ * @param {string} edited      The editor's current content (sanitized before storing).
+ * @param {string} derivedFrom The content the editor last received from here.
+ * @returns {Promise<string>} The stored content, including changes that
+ *   landed locally since derivedFrom.
+ */
+export const saveJournalPage = async (date, edited, derivedFrom) => {
+  const content = sanitizeHtml(edited);
+  const { stored, changed } = await withJournalLock(async () => {
+    const local = await getItem('journal', date);
+    const current = local ? local.content : derivedFrom;
+    const merged = current === derivedFrom ? content : mergeJournalHtml(derivedFrom, content, current);
+    if (local && merged === local.content) return { stored: merged, changed: false };
+    await putItem('journal', {
+      date,
+      content: merged,
+      synced: false,
+      base: local ? baseOf(local) : derivedFrom,
+      baseRevision: local ? local.baseRevision : undefined
+    });
+    return { stored: merged, changed: true };
+  });
+  if (changed) {
+    await enqueueWrite('journal.save', { date });
+  }
+  return stored;
+};
+
+/**
+ * Journal pages between two dates (inclusive), oldest first, with locally
+ * edited pages in their local version. Offline, only cached pages are returned.
+ * @returns {Promise<{date: string, content: string}[]>}
+ */
+export const loadJournalRange = async (from, to) => {
+  const inRange = (page) => page.date >= from && page.date <= to && page.content;
+  const local = (await getAllItems('journal')).filter(inRange);
+  const unsyncedDates = new Set(local.filter((page) => !page.synced).map((page) => page.date));
+  let pages;
+  try {
+    pages = [
+      ...(await journal.range(from, to)).filter((page) => !unsyncedDates.has(page.date)),
+      ...local.filter((page) => unsyncedDates.has(page.date))
+    ];
+  } catch (error) {
+    if (!isRetryable(error)) throw error;
+    pages = local;
+  }
+  return pages
+    .map((page) => ({ date: page.date, content: sanitizeHtml(page.content) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/* CALENDAR */
+const PENDING_PREFIX = 'pending-';
+
+const uniqueById = (items) => [...new Map(items.map((item) => [item._id, item])).values()];
+
+// Shows queued (not yet replayed) creations, updates and deletions on top of a list.
+const applyPendingCalendarOps = async (events, matchesDate) => {
+  const ops = await getAllItems('queue');
+  const removed = new Set(
+    ops.filter((op) => op.type === 'calendar.remove').map((op) => op.payload.id)
+  );
+  const updated = (event) =>
+    ops
+      .filter((op) => op.type === 'calendar.update' && op.payload.id === event._id)
+      .reduce((current, op) => ({ ...current, ...op.payload.changes, pending: true }), event);
+  const created = ops
+    .filter((op) => op.type === 'calendar.create' && matchesDate(op.payload.date))
+    .map((op) => ({ ...op.payload, _id: PENDING_PREFIX + op.id, pending: true }));
+  // Events a queued update moves here from another date are found in the
+  // cached lists of the dates they came from.
+  const listed = new Set(events.map((event) => event._id));
+  const movedIds = new Set(
+    ops
+      .filter((op) => op.type === 'calendar.update' && op.payload.changes.date && !listed.has(op.payload.id))
+      .map((op) => op.payload.id)
+  );
+  const cached = movedIds.size ? uniqueById((await getAllItems('calendar')).flat()) : [];
+  const movedIn = cached.filter((event) => movedIds.has(event._id) && !removed.has(event._id)).map(updated);
+  return [
+    ...events
+      .filter((event) => !removed.has(event._id))
+      .map(updated)
+      // Events moved to another date by a queued update.
+      .filter((event) => !event.pending || matchesDate(event.date)),
+    ...movedIn.filter((event) => matchesDate(event.date)),
+    ...created
+  ];
+};
+
+const loadCached = async (storeName, key, fetcher) => {
+  try {
+    const data = await fetcher();
+    await putItem(storeName, data, key);
+    return data;
+  } catch (error) {
+    const cached = isRetryable(error) ? await getItem(storeName, key) : undefined;
+    if (cached === undefined) throw error;
+    return cached;
+  }
+};
+
+// Recurring events are listed on their own and expanded into occurrences
+// here, since a series started long ago still has occurrences this month.
+const loadRecurringEvents = async () => {
+  const events = await loadCached('calendar', 'recurring', () => calendar.listRecurring());
+  return (await applyPendingCalendarOps(events, () => true)).filter(isRecurring);
+};
+
+// One-off events of a day or month plus the occurrences of every series in it,
+// in date and time order.
+const withOccurrences = async (events, from, to) => {
+  const series = await loadRecurringEvents();
+  return [
+    ...events.filter((event) => !isRecurring(event)),
+    ...series.flatMap((event) => expandOccurrences(event, from, to))
+  ].sort(compareEvents);
+};
+
+export const loadCalendarDay = async (date) => {
+  const events = await loadCached('calendar', `day:${date}`, () => calendar.list(date));
+  return withOccurrences(await applyPendingCalendarOps(events, (d) => d === date), date, date);
+};
+
+export const loadCalendarMonth = async (month) => {
+  const events = await loadCached('calendar', `month:${month}`, () => calendar.listMonth(month));
+  return withOccurrences(
+    await applyPendingCalendarOps(events, (d) => d.startsWith(month)),
+    ...monthBounds(month)
+  );
+};
+
+export const createCalendarEvent = (entry) => enqueueWrite('calendar.create', entry);
+
+export const updateCalendarEvent = async (id, changes) => {
+  if (id.startsWith(PENDING_PREFIX)) {
+    // Never reached the server: fold the changes into the queued creation.
+    const op = await getItem('queue', Number(id.slice(PENDING_PREFIX.length)));
+    if (op) await putItem('queue', { ...op, payload: { ...op.payload, ...changes } });
+    return;
+  }
+  await enqueueWrite('calendar.update', { id, changes });
+};
+
+// Deleting a series also deletes its occurrences edited on their own (server-side).
+export const removeCalendarEvent = async (id) => {
+  if (id.startsWith(PENDING_PREFIX)) {
+    // Never reached the server: just drop the queued creation.
+    await deleteItem('queue', Number(id.slice(PENDING_PREFIX.length)));
+    await refreshPending();
+    return;
+  }
+  await enqueueWrite('calendar.remove', { id });
+};
+
+/* RECURRING EVENT OCCURRENCES (see recurrence.js) */
+const SERIES_FIELDS = ['_id', 'recurrence', 'exceptions', 'occurrenceOf', 'pending'];
+
+/** Deletes one occurrence of a series by listing its date as an exception. */
+export const removeOccurrence = (occurrence) =>
+  updateCalendarEvent(occurrence.occurrenceOf, {
+    exceptions: [...(occurrence.exceptions || []), occurrence.date]
+  });
+
+/**
+ * Edits one occurrence of a series on its own: the occurrence is removed from
+ * the series and saved as a one-off event with the changes applied.
+ */
+export const updateOccurrence = async (occurrence, changes) => {
+  await removeOccurrence(occurrence);
+  const event = Object.fromEntries(
+    Object.entries(occurrence).filter(([field]) => !SERIES_FIELDS.includes(field))
+  );
+  const seriesId = occurrence.occurrenceOf;
+  await createCalendarEvent({
+    ...event,
+    ...changes,
+    // A series still in the queue has no server id to point at yet.
+    ...(seriesId.startsWith(PENDING_PREFIX) ? {} : { seriesId })
+  });
+};
+
+/* GALLERY (metadata only; uploads still need a connection) */
+
+// Every photo fetched so far is kept in one list under "all". Updates are
+// chained like the journal's so concurrent fetches don't overwrite each other.
+let galleryCacheLock = Promise.resolve();
+
+/**
+ * Merges fetched photos into the cached list.
+ * @param {import('./api').GalleryImage[]} photos
+ * @param {(photo: import('./api').GalleryImage) => boolean} [covers] Cached
+ *   photos the fetch returned in full (e.g. a whole date range); those it no
+ *   longer returned were deleted and are dropped.
+ */
+const cachePhotos = (photos, covers = () => false) => {
+  const run = galleryCacheLock.then(async () => {
+    const fetched = new Set(photos.map((photo) => photo._id));
+    const cached = (await getItem('gallery', 'all')) || [];
+    const kept = cached.filter((photo) => !fetched.has(photo._id) && !covers(photo));
+    await putItem('gallery', [...kept, ...photos], 'all');
+  });
+  galleryCacheLock = run.catch(() => {});
+  return run;
+};
+
+const cachedPhotos = () => getItem('gallery', 'all');
+
+// Pages, the summary and single photos come from the server; offline they are
+// worked out from the cached list.
+const fromCachedGallery = async (fetcher, fallback) => {
+  try {
+    return await fetcher();
+  } catch (error) {
+    const cached = isRetryable(error) ? await cachedPhotos() : undefined;
+    if (cached === undefined) throw error;
+    return fallback(cached);
+  }
+};
+
+/**
+ * @param {import('./api').GalleryQuery} query
+ * @returns {Promise<import('./api').GalleryPage>}
+ */
+export const loadGalleryPage = (query) =>
+  fromCachedGallery(
+    async () => {
+      const page = await gallery.page(query);
+      // Only a list that fits on one page is known to be complete.
+      const isComplete = !query.cursor && page.nextCursor === null;
+      await cachePhotos(page.items, isComplete ? (photo) => filterImages([photo], query).length > 0 : undefined);
+      return page;
+    },
+    (images) => pageImages(filterImages(images, query), query)
+  );
+
+// Photos fetched per request when loading a date range.
+const RANGE_PAGE_SIZE = 100;
+
+/**
+ * Every photo whose day (see photoLinks.js) is between two dates, inclusive,
+ * fetched a page at a time.
+ * @param {string} from "YYYY-MM-DD"
+ * @param {string} to   "YYYY-MM-DD"
+ * @returns {Promise<import('./api').GalleryImage[]>}
+ */
+export const loadGalleryRange = (from, to) =>
+  fromCachedGallery(
+    async () => {
+      const photos = [];
+      let cursor = null;
+      do {
+        const page = await gallery.page({ from, to, cursor, limit: RANGE_PAGE_SIZE });
+        photos.push(...page.items);
+        cursor = page.nextCursor;
+      } while (cursor);
+      await cachePhotos(photos, (photo) => filterImages([photo], { from, to }).length > 0);
+      return photos;
+    },
+    (images) => filterImages(images, { from, to })
+  );
+
+/** @returns {Promise<import('./api').GallerySummary>} */
+export const loadGallerySummary = () => fromCachedGallery(() => gallery.summary(), summarizeImages);
+
+/**
+ * @param {string} id
+ * @returns {Promise<import('./api').GalleryImage|undefined>}
+ */
+export const loadGalleryImage = (id) =>
+  fromCachedGallery(
+    async () => {
+      const image = await gallery.get(id);
+      await cachePhotos([image]);
+      return image;
+    },
+    (images) => images.find((image) => image._id === id)
+  );
+
+/**
+ * Saves a photo's details and updates the cached copy.
+ * @param {string} id
+ * @param {{description?: string, album?: string, tags?: string[], date?: string, eventIds?: string[]}} changes
+ * @returns {Promise<import('./api').GalleryImage>}
+ */
+export const updateGalleryImage = async (id, changes) => {
+  const updated = await gallery.update(id, changes);
+  await cachePhotos([updated]);
+  return updated;
+};
+
+/** @param {string} id */
+export const removeGalleryImage = async (id) => {
+  await gallery.remove(id);
+  await cachePhotos([], (photo) => photo._id === id);
+};
+
+/* SEARCH */
+// Offline fallback: searches whatever pages, events and photos are cached.
+const searchCached = async (terms) => {
+  const [pages, calendarLists, photos] = await Promise.all([
+    getAllItems('journal'),
+    getAllItems('calendar'),
+    cachedPhotos()
+  ]);
+  return {
+    journal: pages.filter((page) => matchesTerms(htmlToText(page.content), terms)),
+    events: uniqueById(calendarLists.flat()).filter((event) =>
+      matchesTerms(`${event.title} ${event.description}`, terms)
+    ),
+    photos: (photos || []).filter((photo) =>
+      matchesTerms(`${photo.description} ${photo.album || ''} ${(photo.tags || []).join(' ')}`, terms)
+    )
+  };
+};
+
+/**
+ * Searches the whole book. Pages edited locally but not synced yet are
+ * searched in their local version.
+ * @param {string} query
+ * @returns {Promise<import('./api').SearchResults>}
+ */
+export const searchBook = async (query) => {
+  const terms = queryTerms(query);
+  if (!terms.length) return { journal: [], events: [], photos: [] };
+  let results;
+  try {
+    results = await search.query(query);
+  } catch (error) {
+    if (!isRetryable(error)) throw error;
+    return searchCached(terms);
+  }
+  const unsynced = (await getAllItems('journal')).filter((page) => !page.synced);
+  const unsyncedDates = new Set(unsynced.map((page) => page.date));
+  return {
+    ...results,
+    journal: [
+      ...results.journal.filter((page) => !unsyncedDates.has(page.date)),
+      ...unsynced.filter((page) => matchesTerms(htmlToText(page.content), terms))
+    ]
+  };
+};
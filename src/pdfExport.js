@@ -0,0 +1,484 @@
+// pdfExport.js
+import { jsPDF } from 'jspdf';
+import { loadJournalRange, loadCalendarMonth, loadGalleryRange } from './offlineSync';
+import { formatDate, getDayName, monthsBetween } from './dates';
+import { photoDay } from './photoLinks';
+import { inkFor } from './profiles';
+import { categoryColor, formatEventTime, isAllDay } from './eventDetails';
+import { pageEmbeds } from './journalEmbeds';
+
+/*
+  PDF KEEPSAKE EXPORT
+  Lays a date range out as a printable book, entirely in the browser: a cover
+  made from /book.png, then one page (or more) per date with its heading, the
+  day's calendar events, the journal text in each author's ink, the photos
+  and stickers placed on the page and the day's photos. Dates with nothing on
+  them are skipped.
+  jsPDF only ships the standard PDF fonts, so author fonts are mapped to the
+  closest of Helvetica, Times and Courier. Those only cover the Windows-1252
+  characters; words with anything else (emoji, ❤, Greek, Cyrillic, CJK, …)
+  are drawn by the browser on a canvas and placed as images instead.
+*/
+
+// A5 portrait, in millimetres.
+const PAGE = { width: 148, height: 210, margin: 16 };
+const PAPER = '#F5ECD9';
+const INK = '#1f2937';
+const HIGHLIGHT = '#fde68a';
+const MM_PER_PT = 0.3528;
+const LINE_SPACING = 1.45;
+const LIST_INDENT = 7;
+const MAX_PHOTO_HEIGHT = 90;
+// Page photos and stickers keep their share of the page width, up to this height.
+const MAX_EMBED_HEIGHT = 70;
+const EMBED_GAP = 4;
+// Longest side photos are downscaled to before embedding, in pixels.
+const MAX_IMAGE_PIXELS = 1600;
+// Resolution of words drawn on a canvas, in pixels per millimetre (~300 dpi).
+const TEXT_PIXELS_PER_MM = 12;
+
+// Font size (pt) and weight of each kind of journal line.
+const BLOCK_STYLES = {
+  DIV: { size: 11 },
+  P: { size: 11 },
+  LI: { size: 11 },
+  H1: { size: 18, bold: true },
+  H2: { size: 14, bold: true },
+  H3: { size: 12, bold: true }
+};
+
+/* Helper: Closest standard PDF font to a CSS font-family. */
+const pdfFont = (fontFamily) => {
+  if (/monospace|courier/i.test(fontFamily || '')) return 'courier';
+  if (/(^|[^-])serif|georgia|times|cursive/i.test(fontFamily || '')) return 'times';
+  return 'helvetica';
+};
+
+/* Helper: Whether the standard PDF fonts (Windows-1252) can draw every character of text. */
+const PDF_FONT_CHARACTERS =
+  /^[\u0020-\u007E\u00A0-\u00FF\u0152\u0153\u0160\u0161\u0178\u017D\u017E\u0192\u02C6\u02DC\u2013\u2014\u2018-\u201A\u201C-\u201E\u2020-\u2022\u2026\u2030\u2039\u203A\u20AC\u2122]*$/;
+const fitsPdfFont = (text) => PDF_FONT_CHARACTERS.test(text);
+
+// Browser fonts standing in for the PDF fonts on the canvas.
+const CANVAS_FONTS = {
+  helvetica: 'Helvetica, Arial, sans-serif',
+  times: '"Times New Roman", Times, serif',
+  courier: '"Courier New", Courier, monospace'
+};
+
+/* Helper: Any CSS color as "#rrggbb" (jsPDF doesn't understand names or rgb()). */
+const colorCache = new Map();
+const toHex = (color) => {
+  if (!color) return INK;
+  if (!colorCache.has(color)) {
+    const context = document.createElement('canvas').getContext('2d');
+    context.fillStyle = INK;
+    context.fillStyle = color;
+    colorCache.set(color, context.fillStyle.startsWith('#') ? context.fillStyle : INK);
+  }
+  return colorCache.get(color);
+};
+
+/*
+  Helper: Flatten journal HTML into lines of styled runs:
+    { size, bold, align, indent, marker, runs: [{ text, color, font, bold, italic, underline, highlight }] }
+  Every block element and <br> starts a new line.
+*/
+const htmlToLines = (html, profiles) => {
+  const body = new DOMParser().parseFromString(html, 'text/html').body;
+  const lines = [];
+  let line = null;
+
+  const startLine = (block) => {
+    line = { size: block.size, bold: block.bold, align: block.align, indent: block.indent, marker: block.marker, runs: [] };
+    block.marker = null;
+    lines.push(line);
+  };
+
+  const walk = (node, run, block) => {
+    node.childNodes.forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) {
+        const text = child.textContent.replace(/\u200B/g, '').replace(/\s+/g, ' ');
+        if (!text) return;
+        if (!line) startLine(block);
+        line.runs.push({ ...run, text });
+        return;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) return;
+      const tag = child.tagName;
+      if (tag === 'BR') {
+        if (!line) startLine(block); // an empty line
+        line = null;
+        return;
+      }
+      if (tag === 'UL' || tag === 'OL') {
+        line = null;
+        let number = 0;
+        [...child.children].forEach((item) => {
+          number += 1;
+          const marker = tag === 'OL' ? `${number}.` : '•';
+          walk({ childNodes: [item] }, run, { ...block, indent: block.indent + LIST_INDENT, marker });
+        });
+        line = null;
+        return;
+      }
+      if (BLOCK_STYLES[tag]) {
+        line = null;
+        walk(child, run, {
+          ...block,
+          ...BLOCK_STYLES[tag],
+          align: child.style.textAlign || block.align,
+          marker: tag === 'LI' ? block.marker : null
+        });
+        line = null;
+        return;
+      }
+      const next = { ...run };
+      if (tag === 'STRONG' || tag === 'B') next.bold = true;
+      if (tag === 'EM' || tag === 'I') next.italic = true;
+      if (tag === 'U') next.underline = true;
+      if (tag === 'MARK') next.highlight = true;
+      if (child.style.color) next.color = toHex(child.style.color);
+      const author = child.getAttribute('data-user');
+      if (author) {
+        const ink = inkFor(profiles, author);
+        next.color = toHex(ink.color);
+        next.font = pdfFont(ink.font);
+      }
+      walk(child, next, block);
+    });
+  };
+
+  walk(body, { color: INK, font: 'helvetica' }, { size: BLOCK_STYLES.DIV.size, align: 'left', indent: 0 });
+  return lines;
+};
+
+const setRunFont = (doc, run, line) => {
+  const bold = run.bold || line.bold;
+  const style = bold && run.italic ? 'bolditalic' : bold ? 'bold' : run.italic ? 'italic' : 'normal';
+  doc.setFont(run.font || 'helvetica', style);
+  doc.setFontSize(line.size);
+};
+
+// Canvas font of a run, with the font size in canvas pixels.
+const canvasFont = (run, line) => {
+  const bold = run.bold || line.bold;
+  const pixels = line.size * MM_PER_PT * TEXT_PIXELS_PER_MM;
+  return `${run.italic ? 'italic ' : ''}${bold ? 'bold ' : ''}${pixels}px ${CANVAS_FONTS[run.font || 'helvetica']}`;
+};
+
+let measuringContext = null;
+
+// Width in mm of a word the PDF fonts can't draw, as the canvas will draw it.
+const canvasTextWidth = (run, line) => {
+  if (!measuringContext) measuringContext = document.createElement('canvas').getContext('2d');
+  measuringContext.font = canvasFont(run, line);
+  return measuringContext.measureText(run.text).width / TEXT_PIXELS_PER_MM;
+};
+
+/*
+  Helper: Draw a word on a transparent canvas one line high, with its baseline
+  where jsPDF puts it, and place it as a PNG at x, top.
+*/
+const drawCanvasText = (doc, run, line, x, top, width, lineHeight) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width * TEXT_PIXELS_PER_MM));
+  canvas.height = Math.ceil(lineHeight * TEXT_PIXELS_PER_MM);
+  const context = canvas.getContext('2d');
+  context.font = canvasFont(run, line);
+  context.fillStyle = run.color || INK;
+  context.fillText(run.text, 0, line.size * MM_PER_PT * TEXT_PIXELS_PER_MM);
+  doc.addImage(canvas.toDataURL('image/png'), 'PNG', x, top, canvas.width / TEXT_PIXELS_PER_MM, lineHeight);
+};
+
+const paintPaper = (doc) => {
+  doc.setFillColor(PAPER);
+  doc.rect(0, 0, PAGE.width, PAGE.height, 'F');
+};
+
+// Makes room for `height` mm below the cursor, turning the page when needed.
+const ensureSpace = (state, height) => {
+  if (state.y + height <= PAGE.height - PAGE.margin) return;
+  state.doc.addPage();
+  paintPaper(state.doc);
+  state.y = PAGE.margin;
+};
+
+/* Helper: Word-wrap and draw lines produced by htmlToLines. */
+const drawLines = (state, lines) => {
+  const { doc } = state;
+  lines.forEach((line) => {
+    const lineHeight = line.size * MM_PER_PT * LINE_SPACING;
+    const left = PAGE.margin + line.indent;
+    const width = PAGE.width - PAGE.margin - left;
+
+    // Split runs into words (keeping the spaces) and fill rows up to the width.
+    const rows = [[]];
+    let rowWidth = 0;
+    line.runs
+      .flatMap((run) => run.text.split(/( )/).filter(Boolean).map((text) => ({ ...run, text })))
+      .forEach((word) => {
+        setRunFont(doc, word, line);
+        const wordWidth = fitsPdfFont(word.text) ? doc.getTextWidth(word.text) : canvasTextWidth(word, line);
+        const row = rows[rows.length - 1];
+        if (word.text === ' ' && !row.length && rows.length > 1) return; // no leading space on wrapped rows
+        if (row.length && word.text !== ' ' && rowWidth + wordWidth > width) {
+          rows.push([{ ...word, width: wordWidth }]);
+          rowWidth = wordWidth;
+          return;
+        }
+        row.push({ ...word, width: wordWidth });
+        rowWidth += wordWidth;
+      });
+
+    rows.forEach((row, i) => {
+      ensureSpace(state, lineHeight);
+      while (row.length && row[row.length - 1].text === ' ') row.pop();
+      const total = row.reduce((sum, word) => sum + word.width, 0);
+      let x = left;
+      if (line.align === 'center') x += (width - total) / 2;
+      if (line.align === 'right') x += width - total;
+      const baseline = state.y + line.size * MM_PER_PT;
+
+      if (i === 0 && line.marker) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(line.size);
+        doc.setTextColor(INK);
+        doc.text(line.marker, left - 2, baseline, { align: 'right' });
+      }
+      row.forEach((word) => {
+        setRunFont(doc, word, line);
+        if (word.highlight) {
+          doc.setFillColor(HIGHLIGHT);
+          doc.rect(x, state.y, word.width, lineHeight, 'F');
+        }
+        if (fitsPdfFont(word.text)) {
+          doc.setTextColor(word.color || INK);
+          doc.text(word.text, x, baseline);
+        } else {
+          drawCanvasText(doc, word, line, x, state.y, word.width, lineHeight);
+        }
+        if (word.underline) {
+          doc.setDrawColor(word.color || INK);
+          doc.setLineWidth(0.2);
+          doc.line(x, baseline + 0.7, x + word.width, baseline + 0.7);
+        }
+        x += word.width;
+      });
+      state.y += lineHeight;
+    });
+  });
+};
+
+// createImageBitmap can't decode SVG (the stickers), an <img> can.
+const decodeImage = async (blob) => {
+  if (blob.type !== 'image/svg+xml') return createImageBitmap(blob);
+  const img = new Image();
+  img.src = URL.createObjectURL(blob);
+  try {
+    await img.decode();
+  } finally {
+    URL.revokeObjectURL(img.src);
+  }
+  return img;
+};
+
+/*
+  Helper: Fetch an image and re-encode it as a JPEG data URL on a paper
+  colored canvas (jsPDF only embeds JPEG/PNG, and this also flattens
+  transparency and applies EXIF orientation).
+*/
+const loadImage = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Image request failed with status ${response.status}`);
+  const bitmap = await decodeImage(await response.blob());
+  const scale = Math.min(1, MAX_IMAGE_PIXELS / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = PAPER;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  if (bitmap.close) bitmap.close();
+  return { data: canvas.toDataURL('image/jpeg', 0.85), width: canvas.width, height: canvas.height };
+};
+
+// Largest size with the image's aspect ratio that fits in maxWidth × maxHeight.
+const fitInto = (image, maxWidth, maxHeight) => {
+  const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+  return { width: image.width * scale, height: image.height * scale };
+};
+
+const drawCover = async (doc, from, to) => {
+  paintPaper(doc);
+  try {
+    const cover = await loadImage('/book.png');
+    const size = fitInto(cover, PAGE.width - 2 * PAGE.margin, PAGE.height - 3 * PAGE.margin);
+    doc.addImage(cover.data, 'JPEG', (PAGE.width - size.width) / 2, PAGE.margin, size.width, size.height);
+  } catch (err) {
+    console.error('Error loading the cover image:', err);
+  }
+  doc.setFont('times', 'italic');
+  doc.setFontSize(14);
+  doc.setTextColor(INK);
+  const range = from === to ? formatDate(from) : `${formatDate(from)} – ${formatDate(to)}`;
+  doc.text(range, PAGE.width / 2, PAGE.height - PAGE.margin, { align: 'center' });
+};
+
+const drawEvents = (state, events) => {
+  if (!events.length) return;
+  drawLines(
+    state,
+    events.map((event) => ({
+      size: 10,
+      align: 'left',
+      indent: LIST_INDENT,
+      marker: '•',
+      runs: [
+        ...(isAllDay(event) ? [] : [{ text: `${formatEventTime(event)} `, color: INK, font: 'helvetica' }]),
+        { text: event.title, bold: true, color: categoryColor(event.category), font: 'helvetica' },
+        ...(event.location ? [{ text: ` (${event.location})`, color: INK, font: 'helvetica' }] : []),
+        ...(event.description ? [{ text: ` – ${event.description}`, color: INK, font: 'helvetica' }] : [])
+      ]
+    }))
+  );
+  state.y += 3;
+};
+
+/*
+  Helper: Draw an image rotated clockwise by `rotation` degrees about its
+  centre. jsPDF turns images counter-clockwise about their bottom-left corner,
+  so that corner is moved to where the centred rotation puts it.
+*/
+const addRotatedImage = (doc, data, x, y, width, height, rotation) => {
+  if (!rotation) {
+    doc.addImage(data, 'JPEG', x, y, width, height);
+    return;
+  }
+  const angle = (rotation * Math.PI) / 180;
+  const [cx, cy] = [x + width / 2, y + height / 2];
+  // Offset from the bottom-left corner to the centre, once rotated.
+  const dx = (width / 2) * Math.cos(angle) + (height / 2) * Math.sin(angle);
+  const dy = (width / 2) * Math.sin(angle) - (height / 2) * Math.cos(angle);
+  doc.addImage(data, 'JPEG', cx - dx, cy - dy - height, width, height, undefined, undefined, -rotation);
+};
+
+/*
+  Helper: Draw the photos and stickers placed on a journal page after its
+  text, left to right in their order on the page, each at its share of the
+  page width and its rotation.
+*/
+const drawEmbeds = async (state, embeds) => {
+  const { doc } = state;
+  const columnWidth = PAGE.width - 2 * PAGE.margin;
+  let x = PAGE.margin;
+  let rowHeight = 0;
+  if (embeds.length) state.y += EMBED_GAP;
+  for (const embed of embeds) {
+    let image;
+    try {
+      image = await loadImage(embed.src);
+    } catch (err) {
+      console.error('Error loading a page photo for the PDF:', err);
+      continue;
+    }
+    const size = fitInto(image, (embed.width / 100) * columnWidth, MAX_EMBED_HEIGHT);
+    if (x > PAGE.margin && x + size.width > PAGE.width - PAGE.margin) {
+      state.y += rowHeight + EMBED_GAP;
+      x = PAGE.margin;
+      rowHeight = 0;
+    }
+    if (x === PAGE.margin) ensureSpace(state, size.height);
+    addRotatedImage(doc, image.data, x, state.y, size.width, size.height, embed.rotation);
+    x += size.width + EMBED_GAP;
+    rowHeight = Math.max(rowHeight, size.height);
+  }
+  state.y += rowHeight;
+};
+
+const drawPhotos = async (state, photos) => {
+  const { doc } = state;
+  for (const photo of photos) {
+    let image;
+    try {
+      image = await loadImage(photo.url);
+    } catch (err) {
+      console.error('Error loading photo for the PDF:', err);
+      continue;
+    }
+    const size = fitInto(image, PAGE.width - 2 * PAGE.margin, MAX_PHOTO_HEIGHT);
+    state.y += 3;
+    ensureSpace(state, size.height + 6);
+    doc.addImage(image.data, 'JPEG', (PAGE.width - size.width) / 2, state.y, size.width, size.height);
+    state.y += size.height + 1;
+    if (photo.description) {
+      drawLines(state, [
+        { size: 9, align: 'center', indent: 0, runs: [{ text: photo.description, italic: true, color: INK, font: 'times' }] }
+      ]);
+    }
+  }
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+/**
+ * Builds the keepsake PDF for the dates from–to (inclusive) and downloads it.
+ * @param {Object} options
+ * @param {string} options.from "YYYY-MM-DD"
+ * @param {string} options.to   "YYYY-MM-DD"
+ * @param {Object<string, import('./api').Profile>} options.profiles Authors' inks.
+ * @param {(message: string) => void} [options.onProgress]
+ * @returns {Promise<number>} Number of dates in the book.
+ */
+export async function exportBookPdf({ from, to, profiles, onProgress = () => {} }) {
+  onProgress('Collecting pages, events and photos…');
+  const inRange = (date) => date >= from && date <= to;
+  const [pages, monthEvents, rangePhotos] = await Promise.all([
+    loadJournalRange(from, to),
+    Promise.all(monthsBetween(from, to).map((month) => loadCalendarMonth(month))),
+    loadGalleryRange(from, to)
+  ]);
+  const events = groupBy(monthEvents.flat().filter((event) => inRange(event.date)), (event) => event.date);
+  const photos = groupBy(rangePhotos, photoDay);
+  const contents = new Map(pages.map((page) => [page.date, page.content]));
+  const dates = [...new Set([...contents.keys(), ...events.keys(), ...photos.keys()])].sort();
+
+  const doc = new jsPDF({ unit: 'mm', format: 'a5' });
+  await drawCover(doc, from, to);
+  const state = { doc, y: PAGE.margin };
+
+  for (const [i, date] of dates.entries()) {
+    onProgress(`Laying out ${formatDate(date)} (${i + 1} of ${dates.length})…`);
+    doc.addPage();
+    paintPaper(doc);
+    state.y = PAGE.margin;
+    drawLines(state, [
+      {
+        size: 14,
+        bold: true,
+        align: 'center',
+        indent: 0,
+        runs: [{ text: `${formatDate(date)} – ${getDayName(date)}`, color: INK, font: 'times' }]
+      }
+    ]);
+    state.y += 4;
+    drawEvents(state, events.get(date) || []);
+    if (contents.has(date)) {
+      drawLines(state, htmlToLines(contents.get(date), profiles));
+      await drawEmbeds(state, pageEmbeds(contents.get(date)));
+    }
+    await drawPhotos(state, photos.get(date) || []);
+  }
+
+  doc.save(`our-book-${from}-to-${to}.pdf`);
+  return dates.length;
+}
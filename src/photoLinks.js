@@ -0,0 +1,26 @@
+// photoLinks.js
+import { localDay } from './dates';
+
+/*
+  PHOTOS LINKED TO DAYS AND EVENTS
+  A photo may carry the date it belongs to (e.g. taken on a trip, uploaded a
+  week later); otherwise it belongs to the day it was uploaded. It may also
+  link to calendar events of its day by id (a series' id for an occurrence),
+  and shows next to the event, or the occurrence, on that day.
+*/
+
+/** "YYYY-MM-DD" day of a photo, or '' for an undated one. */
+export const photoDay = (photo) => photo.date || (photo.createdAt ? localDay(photo.createdAt) : '');
+
+/** @param {import('./api').GalleryImage[]} photos */
+export const photosForDay = (photos, date) => photos.filter((photo) => photoDay(photo) === date);
+
+/**
+ * Photos linked to an event or to one occurrence of a recurring event.
+ * @param {import('./api').GalleryImage[]} photos
+ * @param {import('./api').CalendarEvent} event
+ */
+export const photosForEvent = (photos, event) => {
+  const id = event.occurrenceOf || event._id;
+  return photos.filter((photo) => (photo.eventIds || []).includes(id) && photoDay(photo) === event.date);
+};
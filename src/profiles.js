@@ -0,0 +1,102 @@
+// profiles.js
+import { useEffect, useState } from 'react';
+import { profile as profileApi } from './api';
+
+/*
+  AUTHOR PROFILES
+  Each user picks an ink color and optionally a font, stored server-side.
+  Profiles are loaded once and shared by every component through useProfiles.
+*/
+
+// Fonts offered in the profile settings (label → CSS font-family).
+export const INK_FONTS = [
+  { label: 'Default', value: '' },
+  { label: 'Serif', value: 'Georgia, serif' },
+  { label: 'Sans-serif', value: 'Arial, sans-serif' },
+  { label: 'Handwriting', value: '"Bradley Hand", "Segoe Print", cursive' },
+  { label: 'Script', value: '"Brush Script MT", cursive' },
+  { label: 'Typewriter', value: '"Courier New", monospace' }
+];
+
+// Colors for users who haven't picked one yet, chosen by username.
+const FALLBACK_COLORS = ['#1d4ed8', '#7e22ce', '#be185d', '#047857', '#c2410c', '#0e7490'];
+
+// Profiles come from the server and end up in a stylesheet, so only plain
+// colors and the fonts offered above are accepted.
+const safeColor = (color) => (/^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(color || '') ? color : '');
+const safeFont = (font) => (INK_FONTS.some((f) => f.value === font) ? font : '');
+
+const fallbackColor = (username = '') => {
+  let hash = 0;
+  for (const char of username) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+  return FALLBACK_COLORS[Math.abs(hash) % FALLBACK_COLORS.length];
+};
+
+/**
+ * Ink of one author, falling back to a stable default color.
+ * @returns {{color: string, font: string}}
+ */
+export const inkFor = (profiles, username) => {
+  const saved = profiles[username] || {};
+  return {
+    color: safeColor(saved.inkColor) || fallbackColor(username),
+    font: safeFont(saved.font)
+  };
+};
+
+/*
+  CSS rendering every <span data-user> inside a .journal-page in its author's
+  chosen ink. !important wins over the inline color each span was typed with,
+  so a change of ink applies to everything the author already wrote.
+*/
+export const inkStyleSheet = (profiles) =>
+  Object.values(profiles)
+    .map((p) => {
+      const rules = [];
+      if (safeColor(p.inkColor)) rules.push(`color: ${p.inkColor} !important;`);
+      if (safeFont(p.font)) rules.push(`font-family: ${p.font};`);
+      return rules.length
+        ? `.journal-page span[data-user="${CSS.escape(p.username)}"] { ${rules.join(' ')} }`
+        : '';
+    })
+    .filter(Boolean)
+    .join('\n');
+
+let profiles = {};
+let loading = null;
+const listeners = new Set();
+
+const setProfiles = (next) => {
+  profiles = next;
+  listeners.forEach((listener) => listener(profiles));
+};
+
+const loadProfiles = () => {
+  if (!loading) {
+    loading = profileApi
+      .list()
+      .then((list) => setProfiles(Object.fromEntries(list.map((p) => [p.username, p]))))
+      .catch((err) => {
+        loading = null;
+        console.error('Error fetching profiles:', err);
+      });
+  }
+  return loading;
+};
+
+/** @returns {Object<string, import('./api').Profile>} Profiles keyed by username. */
+export const useProfiles = () => {
+  const [state, setState] = useState(profiles);
+  useEffect(() => {
+    listeners.add(setState);
+    loadProfiles();
+    return () => listeners.delete(setState);
+  }, []);
+  return state;
+};
+
+export const saveMyProfile = async (changes) => {
+  const saved = await profileApi.update(changes);
+  setProfiles({ ...profiles, [saved.username]: saved });
+  return saved;
+};
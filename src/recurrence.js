@@ -0,0 +1,102 @@
+// recurrence.js
+/*
+  RECURRING CALENDAR EVENTS
+  A recurring event is stored once, on the date of its first occurrence, with
+    recurrence: { freq: "yearly" | "monthly" | "weekly" | "daily", interval, until? }
+    exceptions: ["YYYY-MM-DD", …]   occurrences deleted or edited on their own
+  and is expanded into occurrences on the client. "daily" with an interval of
+  N means "every N days". Monthly and yearly events on a day a month doesn't
+  have (the 31st, February 29th) fall on that month's last day.
+*/
+
+export const RECURRENCE_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'yearly', label: 'Every year' },
+  { value: 'monthly', label: 'Every month' },
+  { value: 'weekly', label: 'Every week' },
+  { value: 'daily', label: 'Every N days' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "YYYY-MM-DD" → [year, monthIndex, day]
+const parts = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return [year, month - 1, day];
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const format = (year, monthIndex, day) => `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+const dayNumber = (date) => Date.UTC(...parts(date)) / DAY_MS;
+
+export const isRecurring = (event) => !!(event.recurrence && event.recurrence.freq);
+
+/** Whether a recurring event has an occurrence on date (exceptions included). */
+const matchesRule = (event, date) => {
+  const { freq, until } = event.recurrence;
+  const interval = Math.max(1, Number(event.recurrence.interval) || 1);
+  if (date < event.date || (until && date > until)) return false;
+  const [startYear, startMonth, startDay] = parts(event.date);
+  const [year, month, day] = parts(date);
+  const monthsApart = (year - startYear) * 12 + (month - startMonth);
+  switch (freq) {
+    case 'daily':
+      return (dayNumber(date) - dayNumber(event.date)) % interval === 0;
+    case 'weekly':
+      return (dayNumber(date) - dayNumber(event.date)) % (7 * interval) === 0;
+    case 'monthly':
+      return monthsApart % interval === 0 && day === Math.min(startDay, daysInMonth(year, month));
+    case 'yearly':
+      return (
+        month === startMonth &&
+        (year - startYear) % interval === 0 &&
+        day === Math.min(startDay, daysInMonth(year, month))
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Occurrences of a recurring event between from and to (inclusive), as copies
+ * of the event with the occurrence's date and occurrenceOf set to the series id.
+ * @param {import('./api').CalendarEvent} event
+ * @param {string} from "YYYY-MM-DD"
+ * @param {string} to   "YYYY-MM-DD"
+ * @returns {import('./api').CalendarEvent[]}
+ */
+export function expandOccurrences(event, from, to) {
+  if (!isRecurring(event)) return [];
+  const exceptions = new Set(event.exceptions || []);
+  const occurrences = [];
+  const start = from > event.date ? from : event.date;
+  for (let day = dayNumber(start); day <= dayNumber(to); day++) {
+    const date = new Date(day * DAY_MS).toISOString().split('T')[0];
+    if (!exceptions.has(date) && matchesRule(event, date)) {
+      occurrences.push({ ...event, date, occurrenceOf: event._id });
+    }
+  }
+  return occurrences;
+}
+
+/** First and last day of a "YYYY-MM" month. */
+export const monthBounds = (month) => {
+  const [year, monthIndex] = parts(`${month}-01`);
+  return [format(year, monthIndex, 1), format(year, monthIndex, daysInMonth(year, monthIndex))];
+};
+
+/** "Every 2 weeks until June 1, 2026" style summary of a rule. */
+export const describeRecurrence = ({ freq, interval, until } = {}) => {
+  const n = Math.max(1, Number(interval) || 1);
+  const units = { yearly: 'year', monthly: 'month', weekly: 'week', daily: 'day' };
+  if (!units[freq]) return '';
+  const every = n === 1 ? `Every ${units[freq]}` : `Every ${n} ${units[freq]}s`;
+  if (!until) return every;
+  const end = new Date(until + 'T00:00').toLocaleDateString('en-US', {
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  return `${every} until ${end}`;
+};
@@ -0,0 +1,94 @@
+// recurrence.test.js
+import { describe, it, expect } from 'vitest';
+import { expandOccurrences, isRecurring, monthBounds, describeRecurrence } from './recurrence';
+
+const series = (date, recurrence, exceptions) => ({ _id: 's1', title: 'Date night', date, recurrence, exceptions });
+
+const datesOf = (event, from, to) => expandOccurrences(event, from, to).map((occurrence) => occurrence.date);
+
+describe('expandOccurrences', () => {
+  it('repeats daily, weekly, monthly and yearly with intervals', () => {
+    expect(datesOf(series('2025-01-30', { freq: 'daily', interval: 2 }), '2025-01-29', '2025-02-05')).toEqual([
+      '2025-01-30',
+      '2025-02-01',
+      '2025-02-03',
+      '2025-02-05'
+    ]);
+    expect(datesOf(series('2025-01-06', { freq: 'weekly', interval: 2 }), '2025-01-01', '2025-02-10')).toEqual([
+      '2025-01-06',
+      '2025-01-20',
+      '2025-02-03'
+    ]);
+    expect(datesOf(series('2025-01-15', { freq: 'monthly', interval: 3 }), '2025-01-01', '2025-12-31')).toEqual([
+      '2025-01-15',
+      '2025-04-15',
+      '2025-07-15',
+      '2025-10-15'
+    ]);
+    expect(datesOf(series('2020-02-14', { freq: 'yearly', interval: 1 }), '2024-01-01', '2026-12-31')).toEqual([
+      '2024-02-14',
+      '2025-02-14',
+      '2026-02-14'
+    ]);
+  });
+
+  it('marks each occurrence with its series', () => {
+    const [occurrence] = expandOccurrences(series('2025-03-01', { freq: 'weekly' }), '2025-03-01', '2025-03-01');
+    expect(occurrence).toMatchObject({ _id: 's1', occurrenceOf: 's1', date: '2025-03-01', title: 'Date night' });
+  });
+
+  it('moves the 31st to the last day of shorter months', () => {
+    expect(datesOf(series('2025-01-31', { freq: 'monthly' }), '2025-01-01', '2025-05-31')).toEqual([
+      '2025-01-31',
+      '2025-02-28',
+      '2025-03-31',
+      '2025-04-30',
+      '2025-05-31'
+    ]);
+  });
+
+  it('moves February 29th to the 28th outside leap years', () => {
+    expect(datesOf(series('2024-02-29', { freq: 'yearly' }), '2024-01-01', '2028-12-31')).toEqual([
+      '2024-02-29',
+      '2025-02-28',
+      '2026-02-28',
+      '2027-02-28',
+      '2028-02-29'
+    ]);
+  });
+
+  it('skips exceptions and stops after until', () => {
+    const event = series('2025-06-02', { freq: 'weekly', until: '2025-06-23' }, ['2025-06-09']);
+    expect(datesOf(event, '2025-06-01', '2025-07-31')).toEqual(['2025-06-02', '2025-06-16', '2025-06-23']);
+  });
+
+  it('starts no earlier than the series', () => {
+    expect(datesOf(series('2025-06-15', { freq: 'daily' }), '2025-06-01', '2025-06-16')).toEqual([
+      '2025-06-15',
+      '2025-06-16'
+    ]);
+  });
+
+  it('returns nothing for one-off events', () => {
+    expect(expandOccurrences({ _id: 'e1', date: '2025-06-15' }, '2025-06-01', '2025-06-30')).toEqual([]);
+    expect(isRecurring({ recurrence: { freq: '' } })).toBe(false);
+  });
+});
+
+describe('monthBounds', () => {
+  it('knows leap years', () => {
+    expect(monthBounds('2024-02')).toEqual(['2024-02-01', '2024-02-29']);
+    expect(monthBounds('2025-02')).toEqual(['2025-02-01', '2025-02-28']);
+    expect(monthBounds('2025-12')).toEqual(['2025-12-01', '2025-12-31']);
+  });
+});
+
+describe('describeRecurrence', () => {
+  it('summarizes a rule', () => {
+    expect(describeRecurrence({ freq: 'weekly', interval: 1 })).toBe('Every week');
+    expect(describeRecurrence({ freq: 'daily', interval: 3, until: '2026-06-01' })).toBe(
+      'Every 3 days until June 1, 2026'
+    );
+    expect(describeRecurrence({})).toBe('');
+  });
+});
@@ -0,0 +1,263 @@
+// reminders.js
+import { useEffect, useState } from 'react';
+import { getCurrentUser } from './api';
+import { loadCalendarMonth } from './offlineSync';
+import { isAllDay, formatEventTime, formatTime } from './eventDetails';
+import { formatDate, localDay } from './dates';
+
+/*
+  EVENT REMINDERS
+  Events carry reminders, each either
+    { minutesBefore }      relative to the event's start (9:00 for all-day events)
+    { daysBefore, time }   at a time of day ("HH:MM"), some days before the event
+  While the book is open (even in a background tab) reminders are scheduled
+  from the calendar's upcoming events and shown as notifications through the
+  service worker in /reminder-sw.js, whose Snooze and Dismiss actions come
+  back here as messages. Which reminders were shown, snoozed or dismissed is
+  kept per device in localStorage, so a reminder only notifies once.
+*/
+
+export const REMINDER_PRESETS = [
+  { label: 'At the start', minutesBefore: 0 },
+  { label: '15 minutes before', minutesBefore: 15 },
+  { label: '1 hour before', minutesBefore: 60 },
+  { label: '1 day before', minutesBefore: 24 * 60 },
+  { label: '1 week before', minutesBefore: 7 * 24 * 60 }
+];
+
+export const SNOOZE_OPTIONS = [
+  { label: '10 min', minutes: 10 },
+  { label: '1 hour', minutes: 60 },
+  { label: '1 day', minutes: 24 * 60 }
+];
+
+const ALL_DAY_START = '09:00';
+const UPCOMING_DAYS = 7;
+const RELOAD_MS = 60 * 60 * 1000;
+const SERVICE_WORKER_URL = '/reminder-sw.js';
+
+/** "1 day before" or "2 days before at 8:00 PM". */
+export const describeReminder = (reminder) => {
+  if (reminder.time) {
+    const days = Number(reminder.daysBefore) || 0;
+    const when = days === 0 ? 'On the day' : `${days} day${days > 1 ? 's' : ''} before`;
+    return `${when} at ${formatTime(reminder.time)}`;
+  }
+  const preset = REMINDER_PRESETS.find((p) => p.minutesBefore === reminder.minutesBefore);
+  return preset ? preset.label : `${reminder.minutesBefore} minutes before`;
+};
+
+/** When a reminder of an event (or occurrence) fires. */
+export const reminderTime = (event, reminder) => {
+  const [year, month, day] = event.date.split('-').map(Number);
+  if (reminder.time) {
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    return new Date(year, month - 1, day - (Number(reminder.daysBefore) || 0), hours, minutes);
+  }
+  const [hours, minutes] = (isAllDay(event) ? ALL_DAY_START : event.startTime).split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes - reminder.minutesBefore);
+};
+
+/* DEVICE STATE: { [key]: { notified?, dismissed?, snoozedUntil? } } */
+const stateKey = () => `reminders:${getCurrentUser()}`;
+
+const readState = () => {
+  try {
+    return JSON.parse(localStorage.getItem(stateKey())) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Keys are "<event id>|<date>|<index>"; entries of past days are dropped.
+const writeState = (state) => {
+  const today = localDay(new Date().toISOString());
+  const kept = Object.entries(state).filter(([key]) => key.split('|')[1] >= today);
+  localStorage.setItem(stateKey(), JSON.stringify(Object.fromEntries(kept)));
+};
+
+/* SCHEDULING */
+let running = false;
+let events = [];
+let loadedAt = 0;
+let timer = null;
+let current = { due: [], upcoming: [] };
+const listeners = new Set();
+
+const setCurrent = (next) => {
+  current = next;
+  listeners.forEach((listener) => listener(current));
+};
+
+// Events with reminders this month and next; a week-before reminder of an
+// event early next month falls in this one.
+const loadEvents = async () => {
+  const today = new Date();
+  const months = [0, 1].map((offset) =>
+    localDay(new Date(today.getFullYear(), today.getMonth() + offset, 15).toISOString()).slice(0, 7)
+  );
+  const lists = await Promise.all(months.map((month) => loadCalendarMonth(month)));
+  events = lists.flat().filter((event) => event.reminders && event.reminders.length);
+};
+
+// Every reminder of an upcoming event that wasn't dismissed, soonest first.
+const reminderInstances = (state) => {
+  const today = localDay(new Date().toISOString());
+  return events
+    .filter((event) => event.date >= today)
+    .flatMap((event) =>
+      event.reminders.map((reminder, index) => {
+        const key = `${event.occurrenceOf || event._id}|${event.date}|${index}`;
+        const saved = state[key] || {};
+        return {
+          key,
+          event,
+          reminder,
+          fireAt: saved.snoozedUntil ? new Date(saved.snoozedUntil) : reminderTime(event, reminder),
+          snoozed: !!saved.snoozedUntil,
+          notified: !!saved.notified,
+          dismissed: !!saved.dismissed
+        };
+      })
+    )
+    .filter((instance) => !instance.dismissed)
+    .sort((a, b) => a.fireAt - b.fireAt);
+};
+
+const notify = async ({ key, event }) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const title = `Reminder: ${event.title}`;
+  const options = {
+    body: `${formatDate(event.date)}, ${formatEventTime(event)}${event.location ? ` · ${event.location}` : ''}`,
+    icon: '/book.png',
+    tag: key, // one notification per reminder, even with several tabs open
+    data: { key, date: event.date }
+  };
+  try {
+    const registration = 'serviceWorker' in navigator && (await navigator.serviceWorker.getRegistration());
+    if (registration) {
+      await registration.showNotification(title, {
+        ...options,
+        actions: [
+          { action: 'snooze', title: `Snooze ${SNOOZE_OPTIONS[0].label}` },
+          { action: 'dismiss', title: 'Dismiss' }
+        ]
+      });
+    } else {
+      new Notification(title, options);
+    }
+  } catch (err) {
+    console.error('Error showing reminder notification:', err);
+  }
+};
+
+// Notifies reminders that came due and waits for the next one.
+const tick = () => {
+  clearTimeout(timer);
+  if (!running) return;
+  const state = readState();
+  const now = Date.now();
+  const instances = reminderInstances(state);
+  const due = instances.filter((instance) => instance.fireAt <= now);
+  const fresh = due.filter((instance) => !instance.notified);
+  if (fresh.length) {
+    fresh.forEach((instance) => {
+      state[instance.key] = { ...state[instance.key], notified: true };
+      instance.notified = true;
+      notify(instance);
+    });
+    writeState(state);
+  }
+  const horizon = now + UPCOMING_DAYS * 24 * 60 * 60 * 1000;
+  const upcoming = instances.filter((instance) => instance.fireAt > now && instance.fireAt <= horizon);
+  setCurrent({ due, upcoming });
+
+  const next = instances.find((instance) => instance.fireAt > now);
+  const wait = Math.min(next ? next.fireAt - now : RELOAD_MS, RELOAD_MS - (now - loadedAt));
+  timer = setTimeout(() => (Date.now() - loadedAt >= RELOAD_MS ? refreshReminders() : tick()), Math.max(wait, 1000));
+};
+
+/** Reloads upcoming events (after the calendar changed) and reschedules. */
+export const refreshReminders = async () => {
+  if (!running) return;
+  try {
+    await loadEvents();
+  } catch (err) {
+    console.error('Error loading reminders:', err);
+  }
+  loadedAt = Date.now();
+  tick();
+};
+
+export const snoozeReminder = (key, minutes) => {
+  const state = readState();
+  state[key] = { snoozedUntil: new Date(Date.now() + minutes * 60 * 1000).toISOString() };
+  writeState(state);
+  tick();
+};
+
+export const dismissReminder = (key) => {
+  const state = readState();
+  state[key] = { dismissed: true };
+  writeState(state);
+  tick();
+};
+
+export const notificationPermission = () =>
+  typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+
+/** Asks for notification permission; call it from a click or submit. */
+export const requestNotificationPermission = async () => {
+  if (notificationPermission() !== 'default') return notificationPermission();
+  return Notification.requestPermission();
+};
+
+const handleWorkerMessage = ({ data }) => {
+  if (!data || data.type !== 'reminder') return;
+  if (data.action === 'snooze') snoozeReminder(data.key, SNOOZE_OPTIONS[0].minutes);
+  else if (data.action === 'dismiss') dismissReminder(data.key);
+  else if (data.action === 'open') window.dispatchEvent(new CustomEvent('openReminder', { detail: data.date }));
+};
+
+// Another tab snoozed or dismissed a reminder.
+const handleStorage = (e) => {
+  if (e.key === stateKey()) tick();
+};
+
+/**
+ * Starts scheduling reminders for the signed-in user.
+ * @returns {() => void} Stops it again (on logout).
+ */
+export const startReminders = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker
+      .register(SERVICE_WORKER_URL)
+      .catch((err) => console.error('Error registering the reminder service worker:', err));
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    navigator.serviceWorker.startMessages();
+  }
+  window.addEventListener('storage', handleStorage);
+  running = true;
+  refreshReminders();
+  return () => {
+    running = false;
+    clearTimeout(timer);
+    events = [];
+    setCurrent({ due: [], upcoming: [] });
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    }
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/** @returns {{due: Object[], upcoming: Object[]}} Reminders that fired and those of the next week. */
+export const useReminders = () => {
+  const [state, setState] = useState(current);
+  useEffect(() => {
+    listeners.add(setState);
+    setState(current);
+    return () => listeners.delete(setState);
+  }, []);
+  return state;
+};
@@ -0,0 +1,152 @@
+// sanitizeHtml.js
+import { isSticker, stickerUrl } from './journalEmbeds';
+import { API_BASE_URL } from './api';
+
+/*
+  ALLOW-LIST HTML SANITIZER FOR JOURNAL PAGES
+  Journal HTML is written into the editor and the page-turn preview with
+  innerHTML, in a session whose JWT sits in localStorage, so anything that
+  isn't plain journal markup is removed: only the tags and attributes the
+  journal produces (author spans, colors, formatting, lists, alignment) are
+  kept. The input is parsed with DOMParser, which never runs scripts or loads
+  resources.
+  The only images kept are page photos and stickers (see journalEmbeds.js):
+  photos must be served by the gallery (the API's origin, or one listed in
+  VITE_PHOTO_ORIGINS when photos live elsewhere, e.g. an S3 bucket) and a
+  sticker's src is rebuilt from its name.
+*/
+
+// Tag → attributes allowed on it (besides "style", which is filtered separately).
+const ALLOWED_TAGS = {
+  DIV: [],
+  P: [],
+  BR: [],
+  SPAN: ['data-user'],
+  STRONG: [],
+  B: [],
+  EM: [],
+  I: [],
+  U: [],
+  MARK: [],
+  H1: [],
+  H2: [],
+  H3: [],
+  UL: [],
+  OL: [],
+  LI: [],
+  IMG: ['src', 'alt', 'data-embed', 'data-photo-id', 'data-sticker']
+};
+
+// Elements removed together with everything inside them.
+const DROPPED_WITH_CONTENT = [
+  'SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'FRAMESET', 'OBJECT', 'EMBED',
+  'APPLET', 'SVG', 'MATH', 'TITLE', 'META', 'LINK', 'BASE', 'HEAD', 'TEXTAREA', 'SELECT', 'OPTION'
+];
+
+const ALLOWED_STYLES = [
+  'color',
+  'background-color',
+  'font-family',
+  'font-weight',
+  'font-style',
+  'text-decoration',
+  'text-decoration-line',
+  'text-align'
+];
+
+// Values that could fetch resources or run code in old engines.
+const UNSAFE_STYLE_VALUE = /url\s*\(|expression\s*\(|javascript:|@import|\\/i;
+
+// Layout of page photos and stickers: plain numbers only.
+const EMBED_STYLES = {
+  left: /^-?\d+(\.\d+)?%$/,
+  top: /^-?\d+(\.\d+)?%$/,
+  width: /^\d+(\.\d+)?%$/,
+  transform: /^rotate\(-?\d+(\.\d+)?deg\)$/
+};
+
+const cleanStyle = (el) => {
+  const rules = [];
+  ALLOWED_STYLES.forEach((property) => {
+    const value = el.style.getPropertyValue(property);
+    if (value && !UNSAFE_STYLE_VALUE.test(value)) rules.push(`${property}: ${value};`);
+  });
+  if (el.tagName.toUpperCase() === 'IMG') {
+    Object.entries(EMBED_STYLES).forEach(([property, pattern]) => {
+      const value = el.style.getPropertyValue(property);
+      if (pattern.test(value)) rules.push(`${property}: ${value};`);
+    });
+  }
+  return rules.join(' ');
+};
+
+// Origin of an absolute http(s) URL; null for anything else.
+const httpOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+  } catch {
+    return null;
+  }
+};
+
+const PHOTO_ORIGINS = new Set(
+  [API_BASE_URL, ...(import.meta.env.VITE_PHOTO_ORIGINS || '').split(',')].map(httpOrigin).filter(Boolean)
+);
+
+// Whether an <img> is a page photo or a known sticker; stickers get their src back.
+const isEmbed = (img) => {
+  const kind = img.getAttribute('data-embed');
+  if (kind === 'sticker' && isSticker(img.getAttribute('data-sticker'))) {
+    img.setAttribute('src', stickerUrl(img.getAttribute('data-sticker')));
+    return true;
+  }
+  return kind === 'photo' && PHOTO_ORIGINS.has(httpOrigin(img.getAttribute('src')));
+};
+
+const cleanNode = (node, options) => {
+  [...node.childNodes].forEach((child) => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove(); // comments, processing instructions, …
+      return;
+    }
+    const tag = child.tagName.toUpperCase();
+    if (DROPPED_WITH_CONTENT.includes(tag)) {
+      child.remove();
+      return;
+    }
+    cleanNode(child, options);
+    const allowed = ALLOWED_TAGS[tag];
+    if (tag === 'IMG' && !isEmbed(child)) {
+      child.remove();
+      return;
+    }
+    if (!allowed) {
+      // Unknown wrapper: keep its (already cleaned) contents.
+      child.replaceWith(...child.childNodes);
+      return;
+    }
+    const style = options.keepStyles ? cleanStyle(child) : '';
+    [...child.attributes].forEach((attr) => {
+      const keep =
+        allowed.includes(attr.name) && !(attr.name === 'data-user' && !options.keepAuthors);
+      if (!keep) child.removeAttribute(attr.name);
+    });
+    if (style) child.setAttribute('style', style);
+  });
+};
+
+/**
+ * @param {string} html Untrusted HTML.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepAuthors=true] Keep span[data-user] attribution.
+ * @param {boolean} [options.keepStyles=true]  Keep allowed inline styles.
+ * @returns {string} HTML containing only allowed tags and attributes.
+ */
+export function sanitizeHtml(html, { keepAuthors = true, keepStyles = true } = {}) {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  cleanNode(doc.body, { keepAuthors, keepStyles });
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,132 @@
+// sanitizeHtml.test.js
+import { describe, it, expect } from 'vitest';
+import { sanitizeHtml } from './sanitizeHtml';
+import { API_BASE_URL } from './api';
+
+// Parses the sanitized HTML the way the editor does (innerHTML), so markup
+// that only turns dangerous when re-parsed (mXSS) is caught too.
+const render = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = sanitizeHtml(html);
+  return div;
+};
+
+const DANGEROUS = 'script, style, iframe, svg, math, noscript, object, embed, a, [onerror], [onload], [href], [srcdoc]';
+
+const expectHarmless = (html) => {
+  const div = render(html);
+  expect(div.querySelectorAll(DANGEROUS)).toHaveLength(0);
+  expect(div.innerHTML).not.toMatch(/javascript:|onerror|onload|alert/i);
+  // Sanitizing is stable, so the output survives being saved and loaded again.
+  expect(sanitizeHtml(div.innerHTML)).toBe(div.innerHTML);
+};
+
+describe('sanitizeHtml', () => {
+  describe('known XSS payloads', () => {
+    it.each([
+      ['img onerror', '<img src=x onerror=alert(1)>'],
+      ['img onerror with quotes', '<p>hi<img src="x" onerror="alert(1)"></p>'],
+      ['svg onload', '<svg onload=alert(1)><circle r="1"/></svg>'],
+      ['nested svg', '<div><svg><g onload="alert(1)"></g></svg></div>'],
+      ['javascript: href', '<a href="javascript:alert(1)">click</a>'],
+      ['javascript: href with entities', '<a href="jav&#x09;ascript:alert(1)">click</a>'],
+      ['script tag', '<script>alert(1)</script>'],
+      ['style tag', '<style>body { background: url("javascript:alert(1)") }</style>'],
+      ['iframe srcdoc', '<iframe srcdoc="<script>alert(1)</script>"></iframe>'],
+      ['iframe src', '<iframe src="javascript:alert(1)"></iframe>'],
+      ['object data', '<object data="javascript:alert(1)"></object>'],
+      ['math mXSS', '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>'],
+      ['math href', '<math href="javascript:alert(1)">x</math>'],
+      ['noscript mXSS', '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></p></noscript>'],
+      ['comment breakout', '<!--<img src=x onerror=alert(1)>-->'],
+      ['event handler on allowed tag', '<span onmouseover="alert(1)">hover</span>'],
+      ['form button', '<form><button formaction="javascript:alert(1)">go</button></form>']
+    ])('removes %s', (name, html) => {
+      expectHarmless(html);
+    });
+
+    it('keeps the text of unknown wrappers but not their attributes', () => {
+      expect(sanitizeHtml('<a href="javascript:alert(1)">click</a>')).toBe('click');
+    });
+  });
+
+  describe('inline styles', () => {
+    it('drops url() and expression() values', () => {
+      const html = sanitizeHtml(
+        '<span style="color: red; background-color: url(javascript:alert(1))">a</span>' +
+          '<span style="color: expression(alert(1))">b</span>'
+      );
+      expect(html).not.toMatch(/url|expression|javascript/i);
+      expect(html).toContain('color: red;');
+    });
+
+    it('drops properties outside the allow-list', () => {
+      const html = sanitizeHtml('<p style="position: fixed; background-image: url(x); text-align: center">a</p>');
+      expect(html).toBe('<p style="text-align: center;">a</p>');
+    });
+  });
+
+  describe('page photos and stickers', () => {
+    const photoUrl = `${new URL(API_BASE_URL).origin}/uploads/photo.jpg`;
+
+    it.each([
+      ['javascript: src', '<img data-embed="photo" data-photo-id="1" src="javascript:alert(1)">'],
+      ['data: src', '<img data-embed="photo" data-photo-id="1" src="data:image/svg+xml,<svg onload=alert(1)>">'],
+      ['relative src', '<img data-embed="photo" data-photo-id="1" src="/x.png">'],
+      ['third-party src', '<img data-embed="photo" data-photo-id="1" src="https://evil.example/track.png">'],
+      [
+        'look-alike host',
+        `<img data-embed="photo" data-photo-id="1" src="${new URL(API_BASE_URL).origin}.evil.example/x.png">`
+      ],
+      ['no data-embed', `<img src="${photoUrl}">`],
+      ['unknown sticker', '<img data-embed="sticker" data-sticker="evil" src="https://example.com/x.svg">']
+    ])('removes an image with %s', (name, html) => {
+      expect(render(html).querySelector('img')).toBeNull();
+    });
+
+    it('keeps a photo, its layout and nothing else', () => {
+      const img = render(
+        `<img data-embed="photo" data-photo-id="1" src="${photoUrl}" alt="Us" onerror="alert(1)" ` +
+          'style="left: 10%; top: 20.5%; width: 40%; transform: rotate(-5deg); position: fixed">'
+      ).querySelector('img');
+      expect(img.getAttribute('src')).toBe(photoUrl);
+      expect(img.getAttribute('onerror')).toBeNull();
+      expect(img.getAttribute('style')).toBe('left: 10%; top: 20.5%; width: 40%; transform: rotate(-5deg);');
+    });
+
+    it('rebuilds a sticker src from its name', () => {
+      const img = render('<img data-embed="sticker" data-sticker="heart" src="javascript:alert(1)">').querySelector('img');
+      expect(img.getAttribute('src')).toBe('/stickers/heart.svg');
+    });
+
+    it('only allows layout styles on images', () => {
+      expect(sanitizeHtml('<span style="left: 10%; width: 50%">a</span>')).toBe('<span>a</span>');
+    });
+  });
+
+  describe('journal markup', () => {
+    it('keeps author spans with their colors', () => {
+      const html = '<span data-user="amy" style="color: rgb(255, 0, 0); font-family: Georgia;">hello</span>';
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+
+    it('keeps formatting, headings, lists, highlights and alignment', () => {
+      const html =
+        '<h1>Title</h1><h2>Sub</h2><h3>Small</h3>' +
+        '<div style="text-align: center;"><strong>b</strong><b>b</b><em>i</em><i>i</i><u>u</u></div>' +
+        '<p><mark style="background-color: yellow;">marked</mark><br></p>' +
+        '<ul><li>one</li></ul><ol><li>two</li></ol>';
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+
+    it('removes author spans and styles when asked to', () => {
+      const html = '<span data-user="amy" style="color: red;">hi</span>';
+      expect(sanitizeHtml(html, { keepAuthors: false, keepStyles: false })).toBe('<span>hi</span>');
+    });
+
+    it('returns an empty string for empty input', () => {
+      expect(sanitizeHtml('')).toBe('');
+      expect(sanitizeHtml(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// search.js
+/*
+  SEARCH HELPERS
+  Plain-text matching and snippet building shared by the search view and the
+  offline search fallback. A query matches when every word in it appears
+  (case-insensitively) somewhere in the text.
+*/
+
+/** Visible text of a journal page, with one line per block. */
+export const htmlToText = (html) => {
+  const template = document.createElement('template');
+  template.innerHTML = (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(div|p|h[1-6]|li)>/gi, '\n');
+  return template.content.textContent.replace(/\u200B/g, '');
+};
+
+/** Lower-cased words of a query. */
+export const queryTerms = (query) => (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+export const matchesTerms = (text, terms) => {
+  const haystack = (text || '').toLowerCase();
+  return terms.length > 0 && terms.every((term) => haystack.includes(term));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * A short excerpt around the first match, split into parts so the matched
+ * words can be highlighted without rendering HTML.
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {number} [radius] Characters kept before the first match; the excerpt is twice as long.
+ * @returns {{text: string, match: boolean}[]}
+ */
+export const snippetParts = (text, terms, radius = 60) => {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const first = Math.min(...terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0));
+  const start = Number.isFinite(first) ? Math.max(0, first - radius) : 0;
+  const end = Math.min(flat.length, start + radius * 2);
+  const excerpt = `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+  if (!terms.length) return [{ text: excerpt, match: false }];
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return excerpt
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
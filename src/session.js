@@ -0,0 +1,111 @@
+// session.js
+import { auth, getToken, TOKEN_KEY } from './api';
+
+/*
+  SESSION LIFETIME
+  The backend's JWTs carry their expiry ("exp", in seconds). While the book is
+  open the token is swapped for a fresh one a few minutes before it runs out,
+  so a session only ends when the device was asleep or offline past the
+  expiry. Every tab shares the token in localStorage: a refresh, login or
+  logout in one tab reaches the others through storage events.
+*/
+
+const REFRESH_MARGIN = 5 * 60 * 1000;
+// Wait before trying again when the server couldn't be reached.
+const RETRY_DELAY = 30 * 1000;
+// Longer setTimeout delays overflow and fire at once.
+const MAX_DELAY = 2 ** 31 - 1;
+
+/**
+ * Expiry of a JWT in ms since the epoch; null when it has none or can't be read.
+ * @param {string|null} token
+ */
+export const tokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Whether there is a token that hasn't expired yet. */
+export const hasValidSession = () => {
+  const token = getToken();
+  if (!token) return false;
+  const expiry = tokenExpiry(token);
+  return expiry === null || expiry > Date.now();
+};
+
+/**
+ * Refreshes the token ahead of its expiry until stopped, following tokens
+ * refreshed by other tabs.
+ * @param {() => void} onExpired Called when the token expired or the server
+ *   refused to refresh it.
+ * @returns {() => void} Stop function.
+ */
+export const keepSessionFresh = (onExpired) => {
+  let timer = null;
+
+  const refresh = async () => {
+    const expiry = tokenExpiry(getToken());
+    if (expiry === null) return;
+    if (expiry <= Date.now()) {
+      onExpired();
+      return;
+    }
+    try {
+      await auth.refresh();
+      schedule();
+    } catch (err) {
+      console.error('Error refreshing session:', err);
+      if (err.response && err.response.status < 500) {
+        onExpired();
+      } else {
+        timer = setTimeout(refresh, Math.min(RETRY_DELAY, expiry - Date.now()));
+      }
+    }
+  };
+
+  // Half the remaining time for tokens shorter-lived than the margin.
+  const schedule = () => {
+    clearTimeout(timer);
+    const expiry = tokenExpiry(getToken());
+    if (expiry === null) return;
+    const left = expiry - Date.now();
+    timer = setTimeout(refresh, Math.min(MAX_DELAY, Math.max(0, left - Math.min(REFRESH_MARGIN, left / 2))));
+  };
+
+  // Timers don't run while the device sleeps; check again on waking up.
+  const handleVisibility = () => {
+    if (document.visibilityState === 'visible') schedule();
+  };
+  const handleStorage = (e) => {
+    if (e.key === TOKEN_KEY && e.newValue) schedule();
+  };
+
+  schedule();
+  document.addEventListener('visibilitychange', handleVisibility);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    clearTimeout(timer);
+    document.removeEventListener('visibilitychange', handleVisibility);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/**
+ * Calls listener with the new token (null after a logout) whenever another
+ * tab logs in, refreshes its token or logs out.
+ * @param {(token: string|null) => void} listener
+ * @returns {() => void} Unsubscribe function.
+ */
+export const onSessionChange = (listener) => {
+  const handleStorage = (e) => {
+    // A null key means the whole storage was cleared.
+    if (e.key === TOKEN_KEY || e.key === null) listener(getToken());
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
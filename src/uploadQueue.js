@@ -0,0 +1,161 @@
+// uploadQueue.js
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { gallery } from './api';
+import { prepareImage } from './imageResize';
+
+/*
+  GALLERY UPLOAD QUEUE
+  Photos picked or dropped in the gallery wait here as "ready" until they are
+  sent, so each can get its own description first. Sent photos are prepared
+  (see imageResize.js) and uploaded one at a time:
+    ready → waiting → preparing → uploading → done
+                                         ↘ failed | cancelled (retry → waiting)
+  The queue lives outside the gallery component, so uploads keep going and
+  stay listed while another section of the book is open.
+*/
+
+let items = [];
+let nextId = 1;
+let isRunning = false;
+const listeners = new Set();
+const uploadedListeners = new Set();
+// Abort controllers of the upload in flight, by item id.
+const controllers = new Map();
+
+const setItems = (next) => {
+  items = next;
+  listeners.forEach((listener) => listener(items));
+};
+
+const update = (id, changes) =>
+  setItems(items.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+
+const find = (id) => items.find((item) => item.id === id);
+
+const uploadItem = async (item) => {
+  update(item.id, { status: 'preparing', progress: 0, error: '' });
+  const { image, thumbnail } = await prepareImage(item.file);
+  // Cancelled while the photo was being prepared.
+  if (find(item.id)?.status !== 'preparing') return;
+  const controller = new AbortController();
+  controllers.set(item.id, controller);
+  update(item.id, { status: 'uploading' });
+  try {
+    const { description, album, tags } = find(item.id);
+    const uploaded = await gallery.upload(image, { description, album, tags }, thumbnail, {
+      signal: controller.signal,
+      onProgress: (progress) => update(item.id, { progress })
+    });
+    update(item.id, { status: 'done', progress: 1 });
+    uploadedListeners.forEach((listener) => listener(uploaded));
+  } finally {
+    controllers.delete(item.id);
+  }
+};
+
+// Uploads waiting photos in the order they were added.
+const run = async () => {
+  if (isRunning) return;
+  isRunning = true;
+  try {
+    let item;
+    while ((item = items.find((i) => i.status === 'waiting'))) {
+      try {
+        await uploadItem(item);
+      } catch (err) {
+        if (axios.isCancel(err)) continue;
+        console.error('Error uploading image:', err);
+        update(item.id, {
+          status: 'failed',
+          error: err.response || !err.message ? 'Upload failed.' : err.message
+        });
+      }
+    }
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Prepares and uploads one photo straight away, outside the queue (e.g. one
+ * added to a journal page). Listeners of onPhotoUploaded hear about it too.
+ * @param {File} file
+ * @param {{description: string, album?: string, tags?: string[], date?: string}} details
+ * @returns {Promise<import('./api').GalleryImage>}
+ */
+export const uploadPhoto = async (file, details) => {
+  const { image, thumbnail } = await prepareImage(file);
+  const uploaded = await gallery.upload(image, details, thumbnail);
+  uploadedListeners.forEach((listener) => listener(uploaded));
+  return uploaded;
+};
+
+/** Adds photos as "ready", with an empty description. */
+export const addFiles = (files) =>
+  setItems([
+    ...items,
+    ...[...files]
+      .filter((file) => file.type.startsWith('image/'))
+      .map((file) => ({
+        id: nextId++,
+        file,
+        previewUrl: URL.createObjectURL(file),
+        description: '',
+        status: 'ready',
+        progress: 0,
+        error: ''
+      }))
+  ]);
+
+export const setDescription = (id, description) => update(id, { description });
+
+/**
+ * Sends every ready photo, into an album and with tags if given.
+ * @param {{album?: string, tags?: string[]}} [details]
+ */
+export const uploadReady = ({ album = '', tags = [] } = {}) => {
+  setItems(
+    items.map((item) => (item.status === 'ready' ? { ...item, album, tags, status: 'waiting' } : item))
+  );
+  run();
+};
+
+export const cancelUpload = (id) => {
+  const item = find(id);
+  if (!item || !['waiting', 'preparing', 'uploading'].includes(item.status)) return;
+  update(id, { status: 'cancelled', progress: 0 });
+  if (controllers.has(id)) controllers.get(id).abort();
+};
+
+export const retryUpload = (id) => {
+  update(id, { status: 'waiting', progress: 0, error: '' });
+  run();
+};
+
+/** Removes a photo that isn't being uploaded. */
+export const removeUpload = (id) => {
+  const item = find(id);
+  if (!item || ['waiting', 'preparing', 'uploading'].includes(item.status)) return;
+  URL.revokeObjectURL(item.previewUrl);
+  setItems(items.filter((i) => i.id !== id));
+};
+
+export const clearFinished = () =>
+  items.filter((item) => item.status === 'done').forEach((item) => removeUpload(item.id));
+
+/** Calls listener with every photo that finished uploading; returns the unsubscribe. */
+export const onPhotoUploaded = (listener) => {
+  uploadedListeners.add(listener);
+  return () => uploadedListeners.delete(listener);
+};
+
+export const useUploadQueue = () => {
+  const [state, setState] = useState(items);
+  useEffect(() => {
+    listeners.add(setState);
+    setState(items);
+    return () => listeners.delete(setState);
+  }, []);
+  return state;
+};
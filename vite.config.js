@@ -5,5 +5,8 @@ export default defineConfig({
   plugins: [react()],
   build: {
     target: 'esnext'
+  },
+  test: {
+    environment: 'jsdom'
   }
 });